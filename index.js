@@ -7,66 +7,380 @@ var path = require('path');
 var os = require('os');
 var url = require('url');
 var child = require('child_process');
+var crypto = require('crypto');
+var net = require('net');
+var zlib = require('zlib');
 var chalk = require('chalk');
 var glob = require('glob');
+var minimatch = require('minimatch');
 var minimist = require('minimist');
 var fetch = require('node-fetch');
 var cheerio = require('cheerio');
 var beautify = require('js-beautify').html;
+var pkg = require('./package.json');
 
-/* single, deterministic cache path in os temp */
+/* deterministic cache path in os temp, one sub folder per vnu version */
 var CACHE_DIR = path.join(os.tmpdir(), 'w3c-validate-html');
-var CACHED_JAR = path.join(CACHE_DIR, 'vnu.jar');
-var CURRENT_JAR_PATH = null;
-
-var JAR_URLS = [
-    'https://github.com/validator/validator/releases/latest/download/vnu.jar'
+var RESULTS_CACHE_DIR = path.join(CACHE_DIR, 'results');
+/* results unused for a month are dropped, checked at most once a day */
+var RESULTS_CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+var RESULTS_CACHE_PRUNE_EVERY = 24 * 60 * 60 * 1000;
+var RESOLVED_JARS = {};
+var JAR_VERSIONS = {};
+
+/* shared vnu http services, started lazily once per run for each java, jar and jvm options */
+var SERVERS = {};
+var ACTIVE_RUNS = 0;
+var SERVER_START_TIMEOUT = 60000;
+
+/* per-document java processes still running, killed when the cli is interrupted */
+var DOC_PROCS = [];
+
+/* oldest java any vnu.jar release runs on, newer jars are checked on first use */
+var MIN_JAVA_VERSION = 8;
+var DEFAULT_DOC_TIMEOUT = 120;
+
+/* config files looked up from the working folder upwards, then a package.json key */
+var CONFIG_FILES = ['.w3cvalidatehtmlrc', '.w3cvalidatehtmlrc.json', 'w3c-validate-html.config.js'];
+var CONFIG_PACKAGE_KEY = 'w3c-validate-html';
+
+/* options a config file may set, with their type */
+var CONFIG_OPTIONS = {
+    target: 'list',
+    targetsFile: 'string',
+    depth: 'number',
+    concurrency: 'number',
+    warnings: 'number',
+    exclude: 'list',
+    errorsOnly: 'boolean',
+    json: 'boolean',
+    sameOrigin: 'boolean',
+    stripQuery: 'boolean',
+    userAgent: 'string',
+    server: 'boolean',
+    jar: 'string',
+    vnuVersion: 'string',
+    jarSha256: 'string',
+    java: 'string',
+    jvmOpts: 'list',
+    docTimeout: 'number',
+    ignore: 'ignore',
+    info: 'boolean',
+    beautify: 'boolean',
+    format: 'string',
+    output: 'string',
+    report: 'string',
+    baseline: 'baseline',
+    cache: 'boolean',
+    includeFiles: 'list',
+    excludeFiles: 'list',
+    gitignore: 'boolean',
+    changed: 'ref',
+    robots: 'boolean',
+    delay: 'number',
+    rps: 'number',
+    retries: 'number',
+    requestTimeout: 'number',
+    sitemap: 'string',
+    headers: 'headers',
+    cookie: 'string',
+    cookieJar: 'string',
+    checkLinks: 'boolean',
+    include: 'list',
+    scope: 'list',
+    maxPages: 'number',
+    maxPerPattern: 'caps',
+    overrides: 'overrides'
+};
+
+/* options that only make sense for one interactive run, refused in config files */
+var CLI_ONLY_OPTIONS = ['updateBaseline', 'watch'];
+
+/* the one way to write a regex in any pattern option or suppression comment, so a path like "/blog/" is never read as one */
+var REGEX_PREFIX = 'regex:';
+
+/* options an override block may change for the pages it matches */
+var OVERRIDE_KEYS = ['warnings', 'errorsOnly', 'info', 'ignore', 'depth'];
+
+/* documents picked up in folder targets, and the extensions vnu can check */
+var DEFAULT_INCLUDE_FILES = ['**/*.{html,htm,xhtml,xht,svg}'];
+var DOC_EXTENSIONS = /\.(html?|xht(ml)?|svg)$/i;
+/* no charset, the service sniffs the encoding from the bytes like the command line does */
+var DOC_CONTENT_TYPES = {
+    html: 'text/html',
+    xhtml: 'application/xhtml+xml',
+    svg: 'image/svg+xml'
+};
+
+/* language detection hints the command line drops with --no-langdetect, the service has no switch for it */
+var LANGDETECT_MESSAGES = [
+    /^This document appears to be written in /,
+    /^Consider adding a "lang" attribute to the "html" start tag/
 ];
 
+/* polite crawling: per-request timeout (s), retries on rate limiting and flaky networks */
+var DEFAULT_REQUEST_TIMEOUT = 30;
+var DEFAULT_RETRIES = 2;
+var RETRY_STATUSES = [429, 502, 503, 504];
+var RETRY_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'request-timeout'];
+var RETRY_BASE_DELAY = 1000;
+var MAX_RETRY_DELAY = 60000;
+
+/* redirects followed per request before giving up */
+var MAX_REDIRECTS = 20;
+
+/* sitemap indexes may point at more indexes, but not forever */
+var MAX_SITEMAP_NESTING = 3;
+
+/* why a crawl did not request a url, for the summary */
+var SKIP_REASONS = {
+    robots: 'disallowed by robots.txt',
+    'max-pages': 'over --max-pages',
+    depth: 'beyond --depth',
+    origin: 'on another origin',
+    query: 'with a query string',
+    'file-type': 'that look like files or downloads',
+    scheme: 'that are not http(s)',
+    scope: 'outside --scope',
+    include: 'not matching --include',
+    exclude: 'matching --exclude',
+    'pattern-limit': 'over a --max-per-pattern cap'
+};
+
+/* how often --watch polls for changed files, ms */
+var WATCH_INTERVAL = 1000;
+
+/* --baseline file when no path is given */
+var DEFAULT_BASELINE = 'w3c-validate-html-baseline.json';
+
+/* code frames in the pretty reporter */
+var FRAME_CONTEXT = 2;
+var FRAME_WIDTH = 120;
+
+/* self-contained reports for --report */
+var REPORTS = ['html'];
+
+/* terminal reporters and machine formats (written instead of the page-by-page log) for --format */
+var FORMATS = ['pretty', 'compact', 'sarif', 'junit', 'github'];
+var MACHINE_FORMATS = ['sarif', 'junit', 'github'];
+
+var JAR_RELEASES_URL = 'https://github.com/validator/validator/releases';
+
 var urlToFileMap = {};
 
 /**
  * Main validate entry point
  * Validate a URL, file/folder, or raw HTML string using vnu.jar
- * @param {string} input - URL, file/folder path, or HTML string
+ * @param {string|Array<string>} input - URL, file/folder path, or HTML string, or an array of them for one merged summary
  * @param {object} [cfg] - Optional config
  * @returns {Promise<object>} - Validation result(s)
  */
 async function validate(input, cfg) {
 
-    cfg = cfg || {};
+    var inputs = Array.isArray(input) ? input : [input];
+
+    if (!inputs.length || inputs.some(function (it) { return typeof it !== 'string' || !it.trim(); })) {
+        throw new Error('Input must be a non-empty string (URL, file, or HTML) or an array of them');
+    }
+
+    cfg = prepareRun(cfg);
+
+    if (cfg.cache !== false) {
+        await pruneResultsCache();
+    }
+
+    ACTIVE_RUNS++;
+
+    try {
+        var summary;
+
+        for (var i = 0; i < inputs.length; i++) {
+            var one = await validateTarget(inputs[i], cfg);
+
+            if (!one) {
+                /* a single unknown input keeps its old undefined result, in a list it would be silently dropped */
+                if (Array.isArray(input)) {
+                    throw new Error('Not a URL, file path or HTML: ' + inputs[i].trim().slice(0, 80));
+                }
+                continue;
+            }
+
+            summary = summary ? mergeSummaries(summary, one) : one;
+        }
+
+        return summary ? finishSummary(summary, cfg) : summary;
+    }
+    finally {
+        /* overlapping runs share the service, the last one out stops it */
+        ACTIVE_RUNS--;
+        if (ACTIVE_RUNS === 0) {
+            await stopServers();
+        }
+    }
+}
+
+/**
+ * Combine the summaries of two targets
+ * @param {object} a - Summary
+ * @param {object} b - Summary
+ * @returns {object} - Merged summary
+ */
+function mergeSummaries(a, b) {
+    var out = {
+        passed: a.passed + b.passed,
+        failed: a.failed + b.failed,
+        results: a.results.concat(b.results)
+    };
+
+    if (a.unchanged || b.unchanged) {
+        out.unchanged = (a.unchanged || 0) + (b.unchanged || 0);
+    }
+
+    if (a.brokenLinks || b.brokenLinks) {
+        out.brokenLinks = (a.brokenLinks || []).concat(b.brokenLinks || []);
+    }
 
-    if (typeof input !== 'string' || !input.trim()) {
-        throw new Error('Input must be a non-empty string (URL, file, or HTML)');
+    if (a.skipped || b.skipped) {
+        out.skipped = Object.assign({}, a.skipped);
+        Object.keys(b.skipped || {}).forEach(function (k) {
+            out.skipped[k] = (out.skipped[k] || 0) + b.skipped[k];
+        });
     }
 
+    return out;
+}
+
+/**
+ * Validate one target with the validator that matches its type
+ * @param {string} input - URL, file/folder path, or HTML string
+ * @param {object} cfg - Prepared config
+ * @returns {Promise<object|undefined>} - Summary, undefined if the type is unknown
+ */
+async function validateTarget(input, cfg) {
     if (isUrl(input)) {
         return validateUrl(input, cfg);
     }
-
     if (isFilePath(input)) {
         return validateFiles(input, cfg);
     }
-
     if (isHtml(input)) {
         return validateHtmlString(input, cfg);
     }
 }
 
 /**
- * Checks if Java is installed and available in PATH.
- * @returns {Promise<boolean>} Resolves true if Java is available.
+ * Copy the caller config for one run and load its baseline
+ * @param {object} [cfg] - Caller config
+ * @returns {object} - Prepared config
+ */
+function prepareRun(cfg) {
+
+    /* copy so per-run state (e.g. the loaded baseline) never leaks into the caller's object */
+    cfg = Object.assign({}, cfg || {});
+
+    if (cfg.overrides !== undefined) {
+        checkOverrides(cfg.overrides, 'options');
+    }
+
+    /* pretty is the original name of beautify, before --format pretty took the word */
+    if (cfg.beautify === undefined && cfg.pretty !== undefined) {
+        cfg.beautify = !!cfg.pretty;
+    }
+
+    /* compiled once, a bad regex: pattern fails the run here instead of on every page or link */
+    if (cfg.ignore) {
+        cfg.ignore = toIgnoreRules(cfg.ignore);
+    }
+
+    ['include', 'exclude', 'excludeFiles'].forEach(function (k) {
+        if (cfg[k]) {
+            cfg[k] = (k === 'exclude' ? toList(cfg[k]) : [].concat(cfg[k])).map(function (p) { return compilePattern(p, k); });
+        }
+    });
+
+    if (cfg.maxPerPattern) {
+        parseCaps(cfg.maxPerPattern).forEach(function (c) { compilePattern(c.pattern, 'maxPerPattern'); });
+    }
+
+    if (hasBaseline(cfg) && !cfg.updateBaseline) {
+        cfg.baselineData = loadBaseline(baselinePath(cfg));
+    }
+
+    return cfg;
+}
+
+/**
+ * Record which validator produced the results, how much was suppressed and the baseline state
+ * @param {{passed:number,failed:number,results:Array}} summary - Summary from a run
+ * @param {object} cfg - Prepared config
+ * @returns {object} - The same summary
+ */
+function finishSummary(summary, cfg) {
+    summary.vnuVersion = (cfg.validator && cfg.validator.version) || '';
+    summary.ignored = countIgnored(summary.results);
+    summary.unusedSuppressions = countUnusedSuppressions(summary.results);
+    summary.cacheHits = countCacheHits(summary.results);
+
+    if (cfg.updateBaseline) {
+        summary.baseline = writeBaseline(summary, baselinePath(cfg));
+    }
+    else if (cfg.baselineData) {
+        summary.baseline = baselineSummary(summary, baselinePath(cfg));
+    }
+
+    return summary;
+}
+
+/**
+ * Pick the java binary: cfg.java, then JAVA_HOME, then PATH
+ * @param {object} cfg Config
+ * @returns {string} Java executable
+ */
+function resolveJavaBin(cfg) {
+    if (cfg && cfg.java) return cfg.java;
+    if (process.env.JAVA_HOME) {
+        return path.join(process.env.JAVA_HOME, 'bin', process.platform === 'win32' ? 'java.exe' : 'java');
+    }
+    return 'java';
+}
+
+/**
+ * Reads the version of a java binary.
+ * @param {string} java Java executable
+ * @returns {Promise<{version:string,major:number}|null>} Resolves null if java is not available.
  */
-async function hasJava() {
+async function readJavaVersion(java) {
     return new Promise(resolve => {
-        const p = child.spawn('java', ['-version']);
-        let sawOutput = false;
-        p.on('error', () => resolve(false));
-        p.stderr.on('data', () => { sawOutput = true; });
-        p.on('close', code => resolve(code === 0 || sawOutput));
+        const p = child.spawn(java, ['-version']);
+        let out = '';
+        p.on('error', () => resolve(null));
+        p.stdout.on('data', d => { out += String(d || ''); });
+        p.stderr.on('data', d => { out += String(d || ''); });
+        p.on('close', code => {
+            if (code !== 0 && !out) return resolve(null);
+
+            // "1.8.0_292" is java 8, "17.0.2" is java 17
+            const m = out.match(/version "([^"]+)"/);
+            const version = m ? m[1] : '';
+            const parts = version.split(/[._-]/);
+            const major = parseInt(parts[0] === '1' ? parts[1] : parts[0], 10) || 0;
+
+            resolve({ version: version, major: major });
+        });
     });
 }
 
+/**
+ * Split JVM options given as a string or array
+ * @param {string|Array<string>|undefined} v Raw options, e.g. "-Xss512k -Xmx1g"
+ * @returns {Array<string>} JVM args
+ */
+function toJvmOpts(v) {
+    if (!v) return [];
+    if (Array.isArray(v)) return v.filter(Boolean);
+    return String(v).split(/\s+/).filter(Boolean);
+}
+
 /**
  * Ensures a directory exists (creates if missing).
  * @param {string} dir Directory path
@@ -100,7 +414,7 @@ async function isJar(file) {
 async function download(href, dest) {
     const res = await fetch(href, { headers: { 'User-Agent': 'curl/8 (+node)' }, redirect: 'follow' });
     if (!res.ok) throw new Error('download failed ' + res.status);
-    const tmp = dest + '.part';
+    const tmp = dest + '.' + process.pid + '.part';
     await new Promise((resolve, reject) => {
         const out = fs.createWriteStream(tmp);
         res.body.pipe(out);
@@ -119,21 +433,226 @@ async function download(href, dest) {
     }
 }
 
+/**
+ * Compute the sha-256 of a file
+ * @param {string} file Path to file
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256File(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        const input = fs.createReadStream(file);
+        input.on('error', reject);
+        input.on('data', chunk => hash.update(chunk));
+        input.on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Checks a file against an expected sha-256 (always true when none is expected)
+ * @param {string} file Path to file
+ * @param {string} expected Expected hex digest
+ * @returns {Promise<boolean>} True if the digest matches
+ */
+async function matchesSha256(file, expected) {
+    if (!expected) return true;
+    return (await sha256File(file)) === String(expected).trim().toLowerCase();
+}
+
+/**
+ * Get the vnu.jar download urls for a release, tried in order
+ * Tagged releases ship the jar inside vnu.jar_<version>.zip, a bare vnu.jar asset is the fallback
+ * @param {string} version Release tag or 'latest'
+ * @returns {Array<{href:string,zip:boolean}>} Download urls
+ */
+function jarSources(version) {
+    if (!version || version === 'latest') {
+        return [{ href: JAR_RELEASES_URL + '/latest/download/vnu.jar', zip: false }];
+    }
+    const base = JAR_RELEASES_URL + '/download/' + encodeURIComponent(version) + '/';
+    return [
+        { href: base + encodeURIComponent('vnu.jar_' + version + '.zip'), zip: true },
+        { href: base + 'vnu.jar', zip: false }
+    ];
+}
+
+/**
+ * Read one file out of a zip archive held in memory
+ * @param {Buffer} buf Zip archive
+ * @param {function(string):boolean} match Picks the entry by its path
+ * @returns {Buffer|null} Entry content, null when no entry matches
+ */
+function unzipEntry(buf, match) {
+    // end of central directory record, followed by a comment of at most 64k
+    let eocd = buf.length - 22;
+    const stop = Math.max(0, eocd - 65535);
+    while (eocd >= stop && buf.readUInt32LE(eocd) !== 0x06054b50) eocd--;
+    if (eocd < stop) throw new Error('not a zip archive');
+
+    const count = buf.readUInt16LE(eocd + 10);
+    let pos = buf.readUInt32LE(eocd + 16);
+
+    for (let i = 0; i < count; i++) {
+        if (buf.readUInt32LE(pos) !== 0x02014b50) throw new Error('corrupt zip archive');
+
+        const method = buf.readUInt16LE(pos + 10);
+        const size = buf.readUInt32LE(pos + 20);
+        const nameLength = buf.readUInt16LE(pos + 28);
+        const local = buf.readUInt32LE(pos + 42);
+        const name = buf.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+        if (match(name)) {
+            // the local header repeats the name and has its own extra field
+            const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+            const data = buf.slice(start, start + size);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data);
+            throw new Error('unsupported zip compression ' + method);
+        }
+
+        pos += 46 + nameLength + buf.readUInt16LE(pos + 30) + buf.readUInt16LE(pos + 32);
+    }
+
+    return null;
+}
+
+/**
+ * Extract vnu.jar from a release zip
+ * @param {string} archive Path to the zip
+ * @param {string} dest Destination jar path
+ */
+async function extractJar(archive, dest) {
+    const jar = unzipEntry(await fsp.readFile(archive), name => path.basename(name) === 'vnu.jar');
+    if (!jar) throw new Error('no vnu.jar in ' + path.basename(archive));
+    const tmp = dest + '.' + process.pid + '.part';
+    await fsp.writeFile(tmp, jar);
+    fs.renameSync(tmp, dest);
+}
+
 /**
  * Ensures vnu.jar is available, downloads if missing.
+ * Uses cfg.jar (or W3C_VALIDATE_HTML_JAR) as-is when given, otherwise caches one jar per version
+ * @param {object} [cfg] Config with optional jar, vnuVersion and jarSha256
  * @returns {Promise<string>} Path to usable jar
  */
-async function resolveJarPath() {
-    if (fs.existsSync(CACHED_JAR) && await isJar(CACHED_JAR)) return CACHED_JAR;
-    ensureDir(CACHE_DIR);
-    try { fs.unlinkSync(CACHED_JAR); } catch (e) { }
-    for (const url of JAR_URLS) {
+async function resolveJarPath(cfg) {
+    cfg = cfg || {};
+
+    const jar = cfg.jar || process.env.W3C_VALIDATE_HTML_JAR || '';
+    const version = cfg.vnuVersion || process.env.W3C_VALIDATE_HTML_VNU_VERSION || 'latest';
+    const sha = cfg.jarSha256 || process.env.W3C_VALIDATE_HTML_JAR_SHA256 || '';
+
+    /* pre-provisioned jar, never touches the network */
+    if (jar) {
+        const abs = path.resolve(jar);
+        if (!(await isJar(abs))) throw new Error('not a jar file ' + jar);
+        if (!(await matchesSha256(abs, sha))) throw new Error('sha-256 mismatch for ' + jar);
+        return abs;
+    }
+
+    const dir = path.join(CACHE_DIR, String(version).replace(/[^\w.-]/g, '_'));
+    const cached = path.join(dir, 'vnu.jar');
+
+    if (fs.existsSync(cached) && await isJar(cached) && await matchesSha256(cached, sha)) return cached;
+    ensureDir(dir);
+    try { fs.unlinkSync(cached); } catch (e) { }
+
+    const archive = path.join(dir, 'vnu.jar.zip');
+    let failure = null;
+    for (const source of jarSources(version)) {
         try {
-            await download(url, CACHED_JAR);
-            if (await isJar(CACHED_JAR)) return CACHED_JAR;
-        } catch (e2) { try { fs.unlinkSync(CACHED_JAR); } catch (e3) { } }
+            await download(source.href, source.zip ? archive : cached);
+            if (source.zip) await extractJar(archive, cached);
+            failure = null;
+            break;
+        } catch (e2) {
+            failure = failure || e2;
+        } finally {
+            try { fs.unlinkSync(archive); } catch (e3) { }
+        }
+    }
+
+    if (failure) {
+        try { fs.unlinkSync(cached); } catch (e3) { }
+        throw new Error('failed to obtain vnu.jar ' + version + ' (' + (failure && failure.message ? failure.message : String(failure)) + ')');
+    }
+
+    if (!(await isJar(cached))) {
+        try { fs.unlinkSync(cached); } catch (e4) { }
+        throw new Error('failed to obtain vnu.jar ' + version);
+    }
+
+    if (!(await matchesSha256(cached, sha))) {
+        try { fs.unlinkSync(cached); } catch (e5) { }
+        throw new Error('sha-256 mismatch for downloaded vnu.jar ' + version);
+    }
+
+    return cached;
+}
+
+/**
+ * Ask a vnu.jar for its version
+ * @param {string} java Java executable
+ * @param {string} jar Path to jar
+ * @returns {Promise<string>} Version string or empty if unknown
+ */
+async function readJarVersion(java, jar) {
+    return new Promise((resolve, reject) => {
+        const p = child.spawn(java, javaProxyArgs().concat(['-jar', jar, '--version']), { env: javaEnv() });
+        let out = '';
+        let err = '';
+        p.stdout.on('data', d => { out += String(d || ''); });
+        p.stderr.on('data', d => { err += String(d || ''); });
+        p.on('error', () => resolve(''));
+        p.on('close', () => {
+
+            // jar compiled for a newer java, e.g. "class file version 55.0" needs java 11
+            const m = err.match(/UnsupportedClassVersionError[\s\S]*?class file version (\d+)/);
+            if (m) {
+                reject(new Error('java at ' + java + ' is too old for ' + jar + ', it needs java ' + (parseInt(m[1], 10) - 44) + ' or newer (set JAVA_HOME or --java)'));
+                return;
+            }
+
+            resolve(out.trim().split(/\r?\n/)[0] || '');
+        });
+    });
+}
+
+/**
+ * Makes sure java and the configured vnu.jar are ready for a run
+ * The result is kept on the run's config as cfg.validator, so overlapping runs never see each other's jar
+ * @param {object} cfg Config
+ * @returns {Promise<{java:string,jar:string,version:string}>} Java and jar every document of the run uses
+ */
+async function ensureValidator(cfg) {
+    const java = resolveJavaBin(cfg);
+    const info = await readJavaVersion(java);
+
+    if (!info) {
+        throw new Error(java === 'java' ? 'java not found' : 'java not found at ' + java);
+    }
+
+    if (info.major && info.major < MIN_JAVA_VERSION) {
+        throw new Error('java ' + info.version + ' at ' + java + ' is too old, vnu.jar needs java ' + MIN_JAVA_VERSION + ' or newer (set JAVA_HOME or --java)');
+    }
+
+    const key = [cfg.jar, cfg.vnuVersion, cfg.jarSha256].join('|');
+
+    if (!RESOLVED_JARS[key]) {
+        RESOLVED_JARS[key] = await resolveJarPath(cfg);
     }
-    throw new Error('failed to obtain vnu.jar');
+
+    const jar = RESOLVED_JARS[key];
+
+    /* checked once per java + jar pair, also fails early if the jar needs a newer java */
+    const versionKey = java + '|' + jar;
+    if (!Object.prototype.hasOwnProperty.call(JAR_VERSIONS, versionKey)) {
+        JAR_VERSIONS[versionKey] = await readJarVersion(java, jar);
+    }
+
+    cfg.validator = { java: java, jar: jar, version: JAR_VERSIONS[versionKey] };
+
+    return cfg.validator;
 }
 
 /**
@@ -147,6 +666,15 @@ function toList(v) {
     return String(v).split(/[,\s]+/).filter(Boolean);
 }
 
+/**
+ * Check if page-by-page console output should be suppressed
+ * @param {object} cfg - Config
+ * @returns {boolean} - True for --json, a machine --format or --report written to stdout
+ */
+function isQuiet(cfg) {
+    return !!(cfg && (cfg.json || MACHINE_FORMATS.indexOf(cfg.format) !== -1 || cfg.report) && !cfg.output);
+}
+
 /**
  * Create a safe filename from a url
  * @param {string} href - Url to encode
@@ -224,421 +752,2503 @@ function safeParseFirstJson(text) {
     return null;
 }
 
+/**
+ * Build a child env with proxies disabled (vnu must never go online)
+ * @returns {object} - Environment variables
+ */
+function javaEnv() {
+    var env = {};
+    var k;
+
+    for (k in process.env) {
+        if (Object.prototype.hasOwnProperty.call(process.env, k)) {
+            env[k] = process.env[k];
+        }
+    }
+
+    env.http_proxy = '';
+    env.https_proxy = '';
+    env.no_proxy = '';
+
+    return env;
+}
+
+/**
+ * JVM arguments that disable any proxy configuration
+ * @returns {Array<string>} - JVM args
+ */
+function javaProxyArgs() {
+    return [
+        '-Djava.net.useSystemProxies=false',
+        '-Dhttp.proxyHost=', '-Dhttp.proxyPort=',
+        '-Dhttps.proxyHost=', '-Dhttps.proxyPort='
+    ];
+}
+
+/**
+ * Per-document validation timeout
+ * @param {object} cfg - Config, docTimeout in seconds (0 = none)
+ * @returns {number} - Timeout in ms, 0 for none
+ */
+function docTimeout(cfg) {
+    var t = parseFloat(cfg && cfg.docTimeout);
+    if (isNaN(t)) { t = DEFAULT_DOC_TIMEOUT; }
+    return Math.max(0, t) * 1000;
+}
+
 /**
  * Run vnu against a local html file
  * @param {string} file - Html file path
- * @param {object} cfg - Config
+ * @param {object} cfg - Config, with the java and jar of the run in cfg.validator
  * @returns {Promise<{stdout:string,stderr:string,code:number}>} - Resolves process output
  */
 async function runOne(file, cfg) {
     return new Promise(function (resolve) {
-        var env = {};
-        var k;
-
-        for (k in process.env) {
-            if (Object.prototype.hasOwnProperty.call(process.env, k)) {
-                env[k] = process.env[k];
-            }
-        }
-
-        env.http_proxy = '';
-        env.https_proxy = '';
-        env.no_proxy = '';
-
-        var args = [
-            '-Djava.net.useSystemProxies=false',
-            '-Dhttp.proxyHost=', '-Dhttp.proxyPort=',
-            '-Dhttps.proxyHost=', '-Dhttps.proxyPort=',
-            '-jar', CURRENT_JAR_PATH,
+        var args = javaProxyArgs().concat(toJvmOpts(cfg && cfg.jvmOpts), [
+            '-jar', cfg.validator.jar,
             '--format', 'json',
             '--asciiquotes',
             '--no-langdetect',
             file
-        ];
+        ]);
 
-        if (cfg && cfg.html) {
+        /* xhtml goes through the xml parser and svg against the svg schema, never as text/html */
+        var mode = docMode(file);
+        if (mode === 'xhtml') {
+            args.push('--xml');
+        }
+        else if (mode === 'svg') {
+            args.push('--svg');
+        }
+        else if (cfg && cfg.html) {
             args.push('--html');
         }
 
-        var p = child.spawn('java', args, { env: env });
+        var p = child.spawn(cfg.validator.java, args, { env: javaEnv() });
+        DOC_PROCS.push(p);
 
         var out = '';
         var err = '';
+        var timedOut = false;
+
+        function done() {
+            clearTimeout(timer);
+            if (DOC_PROCS.indexOf(p) !== -1) {
+                DOC_PROCS.splice(DOC_PROCS.indexOf(p), 1);
+            }
+        }
+
+        /* kill a hung jvm, parseIssues reports it as a tool error */
+        var timer = setTimeout(function () {
+            timedOut = true;
+            try { p.kill('SIGKILL'); } catch (e) { /* ignore */ }
+        }, docTimeout(cfg) || 2147483647);
 
         p.stdout.on('data', function (d) { out += String(d || ''); });
         p.stderr.on('data', function (d) { err += String(d || ''); });
 
-        p.on('close', function (code) { resolve({ stdout: out, stderr: err, code: code || 0 }); });
-        p.on('error', function () { resolve({ stdout: out, stderr: err, code: 1 }); });
+        p.on('close', function (code) {
+            done();
+            resolve({ stdout: out, stderr: err, code: code || 0, timedOut: timedOut, timeout: docTimeout(cfg) });
+        });
+        p.on('error', function () {
+            done();
+            resolve({ stdout: out, stderr: err, code: 1 });
+        });
     });
 }
 
 /**
- * Clean validator message
- * @param {string} s - Raw message
- * @returns {string} - Clean message
+ * Find a free tcp port on the loopback interface
+ * @returns {Promise<number>} - Port number
  */
-function cleanMessage(s) {
-    return String(s || '').replace(/\s+/g, ' ').trim();
+function findFreePort() {
+    return new Promise(function (resolve, reject) {
+        var srv = net.createServer();
+        srv.unref();
+        srv.on('error', reject);
+        srv.listen(0, '127.0.0.1', function () {
+            var port = srv.address().port;
+            srv.close(function () { resolve(port); });
+        });
+    });
 }
 
 /**
- * Parse vnu json messages into errors and warnings
- * @param {any} json - Parsed json
- * @param {object} cfg - Config
- * @returns {{errors:Array,warnings:Array}} - Parsed issues
+ * Wait until the vnu http service answers or the process dies
+ * @param {{proc:object,port:number,exited:boolean}} server - Server handle
+ * @param {number} timeout - Max wait in ms
+ * @returns {Promise<boolean>} - True once the service is ready
  */
-function parseIssuesFromJson(json, cfg) {
-    var errors = [];
-    var warnings = [];
+async function waitForServer(server, timeout) {
+    var until = Date.now() + timeout;
 
-    var list = json;
+    while (Date.now() < until) {
+        if (server.exited) {
+            return false;
+        }
 
-    if (!Array.isArray(list) && json && Array.isArray(json.messages)) {
-        list = json.messages;
+        try {
+            var res = await fetch('http://127.0.0.1:' + server.port + '/', { timeout: 1000 });
+            if (res.ok) {
+                return true;
+            }
+        } catch (e) { /* not listening yet */ }
+
+        await new Promise(function (resolve) { setTimeout(resolve, 250); });
     }
 
-    if (!Array.isArray(list)) {
-        return { errors: errors, warnings: warnings };
+    return false;
+}
+
+/**
+ * Identify the java, jar and jvm options a service runs with
+ * @param {object} cfg - Config, with the java and jar of the run in cfg.validator
+ * @returns {string} - Key
+ */
+function serverKey(cfg) {
+    return [cfg.validator.java, cfg.validator.jar].concat(toJvmOpts(cfg.jvmOpts)).join('|');
+}
+
+/**
+ * Start vnu.jar in http service mode
+ * @param {object} cfg - Config
+ * @returns {Promise<object|null>} - Server handle or null if it failed to start
+ */
+async function startServer(cfg) {
+    var port = await findFreePort();
+
+    var args = javaProxyArgs().concat(toJvmOpts(cfg && cfg.jvmOpts), [
+        '-Dnu.validator.servlet.bind-address=127.0.0.1',
+        '-cp', cfg.validator.jar,
+        'nu.validator.servlet.Main',
+        String(port)
+    ]);
+
+    var server = {
+        port: port,
+        key: serverKey(cfg),
+        exited: false,
+        pending: 0,
+        retired: false,
+        proc: child.spawn(cfg.validator.java, args, { env: javaEnv(), stdio: 'ignore' })
+    };
+
+    /* never leave a jvm behind if node exits without a clean shutdown */
+    function killOnExit() {
+        try { server.proc.kill(); } catch (e) { /* ignore */ }
     }
 
-    for (var i = 0; i < list.length; i++) {
-        var it = list[i] || {};
-        var type = String(it.type || '').toLowerCase();
-        var subType = String(it.subType || '').toLowerCase();
+    process.on('exit', killOnExit);
 
-        var line = parseInt(it.lastLine || it.firstLine || it.line, 10) || 0;
-        var col = parseInt(it.lastColumn || it.firstColumn || it.column, 10) || 0;
+    server.proc.on('error', function () { server.exited = true; });
+    server.proc.on('exit', function () {
+        server.exited = true;
+        process.removeListener('exit', killOnExit);
+    });
 
-        var msg = cleanMessage(it.message || it.msg || '');
+    if (await waitForServer(server, SERVER_START_TIMEOUT)) {
+        return server;
+    }
 
-        if (!msg) {
-            continue;
+    try { server.proc.kill(); } catch (e) { /* ignore */ }
+    return null;
+}
+
+/**
+ * Get the shared vnu http service for the java, jar and jvm options of a run, starting it on first use
+ * The document is counted as in flight on the returned service until releaseServer
+ * @param {object} cfg - Config
+ * @returns {Promise<object|null>} - Server handle or null to spawn per file
+ */
+async function getServer(cfg) {
+    if (cfg && cfg.server === false) {
+        return null;
+    }
+
+    var key = serverKey(cfg);
+
+    for (;;) {
+        if (!SERVERS[key]) {
+            SERVERS[key] = startServer(cfg).catch(function () { return null; });
         }
 
-        if (type === 'error') {
-            errors.push({ line: line, col: col, msg: msg });
-            continue;
+        var server = await SERVERS[key];
+
+        if (!server || server.exited) {
+            return null;
         }
 
-        if (cfg && cfg.warnings > 0) {
-            if (type === 'info' || type === 'warning') {
-                if (subType === 'warning' || type === 'warning') {
-                    warnings.push({ line: line, col: col, msg: msg });
-                }
-            }
+        /* a hung service was replaced while this document waited for it */
+        if (!server.retired) {
+            server.pending++;
+            return server;
         }
     }
-
-    return { errors: errors, warnings: warnings };
 }
 
 /**
- * Parse validator output
- * @param {{stdout:string,stderr:string,code:number}} proc - Process output
- * @param {object} cfg - Config
- * @returns {{errors:Array,warnings:Array}} - Parsed issues
+ * Done with a service, kills it once it was retired and nothing else is in flight on it
+ * @param {object} server - Server handle from getServer
+ * @returns {void}
  */
-function parseIssues(proc, cfg) {
-    var json =
-        safeParseFirstJson(proc.stdout) ||
-        safeParseFirstJson(proc.stderr) ||
-        safeParseFirstJson(String(proc.stdout || '') + String(proc.stderr || ''));
+function releaseServer(server) {
+    server.pending--;
 
-    if (!json) {
-        throw new Error('validator did not produce JSON output');
+    if (server.retired && !server.pending) {
+        killServer(server);
     }
+}
 
-    return parseIssuesFromJson(json, cfg);
+/**
+ * Stop every shared vnu http service
+ * @returns {Promise<void>} - Resolves once the processes have exited
+ */
+async function stopServers() {
+    var pending = Object.keys(SERVERS).map(function (key) { return SERVERS[key]; });
+    SERVERS = {};
+
+    await Promise.all(pending.map(async function (p) {
+        await killServer(await p);
+    }));
 }
 
 /**
- * Print one page result
- * @param {{url:string,ok:boolean,errors:Array,warnings:Array}} res - Page result
- * @param {object} cfg - Config
- * @returns {void} - Prints to stdout or stderr
+ * Kill every per-document java process, for an exit that cannot wait for them
+ * @returns {void}
  */
-function printPageResult(res, cfg) {
-    var green = chalk.green;
-    var red = chalk.red;
-    var orange = chalk.hex('#FFA500');
-    var dim = chalk.dim;
-
-    // Always use absolute file path for clickability if available
-    var localFile = urlToFileMap[res.url] || res.url;
-    if (!path.isAbsolute(localFile) && fs.existsSync(localFile)) {
-        localFile = path.resolve(localFile);
-    }
+function killDocuments() {
+    DOC_PROCS.splice(0).forEach(function (p) {
+        try { p.kill('SIGKILL'); } catch (e) { /* already gone */ }
+    });
+}
 
-    if (res.ok) {
-        console.log(green('  ✔ ' + res.url));
+/**
+ * Kill a vnu http service process
+ * @param {object|null} server - Server handle
+ * @returns {Promise<void>} - Resolves once the process has exited
+ */
+async function killServer(server) {
+    if (!server || server.exited) {
         return;
     }
 
-    console.log(red('  ✖ ' + res.url));
+    await new Promise(function (resolve) {
+        server.proc.once('exit', resolve);
+        try { server.proc.kill(); } catch (e) { resolve(); }
+    });
+}
 
-    // Only print errors, message first, then clickable file:line:col in gray
-    for (var i = 0; i < res.errors.length; i++) {
-        var e = res.errors[i];
-        var where = localFile + ':' + (e.line || 0) + (e.col ? ':' + e.col : '');
-        // Print error message, then clickable file:line:col in gray
-        console.error(red('      ' + e.msg) + ' ' + dim(where));
+/**
+ * Stop handing out a service, later documents start a new one
+ * Its process is killed once the documents still in flight on it have finished
+ * @param {object} server - Server handle
+ * @returns {void}
+ */
+function retireServer(server) {
+    if (!server.retired) {
+        server.retired = true;
+        delete SERVERS[server.key];
     }
-    // Warnings and extra context omitted for brevity
 }
 
 /**
- * Normalize href to absolute and strip hash
- * @param {string} href - Link href
- * @param {string} base - Base url
- * @returns {string|null} - Absolute url or null
+ * Post a local html file to the vnu http service
+ * @param {object} server - Server handle
+ * @param {string} file - Html file path
+ * @param {object} cfg - Config
+ * @returns {Promise<{stdout:string,stderr:string,code:number}>} - Service output in runOne shape
  */
-function toAbsUrl(href, base) {
-    if (!href) { return null; }
+async function runOnServer(server, file, cfg) {
+    var query = '?out=json&asciiquotes=yes';
+    var mode = docMode(file);
 
-    var s = String(href || '').trim();
+    if (mode === 'html' && cfg && cfg.html) {
+        query += '&parser=html';
+    }
 
-    if (!s) { return null; }
-    if (/^(mailto|tel|javascript|data):/i.test(s)) { return null; }
+    var body = await fsp.readFile(file);
+    var res = await fetch('http://127.0.0.1:' + server.port + '/' + query, {
+        method: 'POST',
+        headers: { 'Content-Type': DOC_CONTENT_TYPES[mode] },
+        body: body,
+        timeout: docTimeout(cfg)
+    });
 
-    try {
-        var abs = String(new URL(s, base).href);
-        abs = abs.replace(/#.*$/, '');
-        return abs;
-    } catch (e) {
-        return null;
+    if (!res.ok) {
+        throw new Error('validator service failed ' + res.status);
     }
+
+    return { stdout: withoutLangDetect(await res.text()), stderr: '', code: 0 };
 }
 
 /**
- * Decide if a url is crawlable
- * @param {string} href - Absolute url
- * @param {object} cfg - Config
- * @param {string} origin - Allowed origin
- * @returns {boolean} - True if it should be crawled
+ * Drop language detection messages from vnu json output, as --no-langdetect does for runOne
+ * @param {string} text - Vnu json output
+ * @returns {string} - Json output without language detection messages
  */
-function isCrawlable(href, cfg, origin) {
-    if (!href) { return false; }
+function withoutLangDetect(text) {
+    var json;
 
-    if (!/^https?:\/\//i.test(href)) {
-        return false;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        return text;
     }
 
-    // skip common non-HTML file types (e.g., pdf, zip, docx, etc)
-    if (/\.(pdf|zip|docx?|xlsx?|pptx?|jpg|jpeg|png|gif|svg|mp3|mp4|avi|mov|wmv|exe|dmg|tar|gz|rar|7z)(\?|#|$)/i.test(href)) {
-        return false;
-    }
-    // skip links that look like downloads
-    if (/download(=|\b|\/|\.)|attachment(=|\b|\/|\.)|file(=|\b|\/|\.)/i.test(href)) {
-        return false;
+    if (!json || !Array.isArray(json.messages)) {
+        return text;
     }
 
-    if (cfg && cfg.sameOrigin) {
-        try {
-            if (new URL(href).origin !== origin) {
-                return false;
-            }
-        } catch (e) {
-            return false;
-        }
-    }
+    json.messages = json.messages.filter(function (m) {
+        return !LANGDETECT_MESSAGES.some(function (re) { return re.test(String(m && m.message || '')); });
+    });
 
-    if (cfg && cfg.stripQuery) {
-        if (href.indexOf('?') !== -1) {
-            return false;
-        }
-    }
+    return JSON.stringify(json);
+}
 
-    if (cfg && cfg.exclude && cfg.exclude.length) {
-        for (var i = 0; i < cfg.exclude.length; i++) {
-            if (href.indexOf(cfg.exclude[i]) !== -1) {
-                return false;
+/**
+ * Validate a local html file using the shared service, falling back to a per-file spawn
+ * @param {string} file - Html file path
+ * @param {object} cfg - Config
+ * @returns {Promise<{stdout:string,stderr:string,code:number}>} - Validator output
+ */
+async function runDocument(file, cfg) {
+    var server = await getServer(cfg);
+
+    if (server) {
+        try {
+            return await runOnServer(server, file, cfg);
+        } catch (e) {
+            /* a hung service is replaced on next use, retrying would hang again */
+            if (e && e.type === 'request-timeout') {
+                retireServer(server);
+                return { stdout: '', stderr: '', code: 1, timedOut: true, timeout: docTimeout(cfg) };
             }
+            /* otherwise fall back to spawning java for this file */
+        } finally {
+            /* documents still in flight on a replaced service finish before it is killed */
+            releaseServer(server);
         }
     }
 
-    return true;
+    return runOne(file, cfg);
 }
 
 /**
- * Fetch html with redirect following
- * @param {string} pageUrl - Url to fetch
+ * Cache key for one document: its content, the validator release and the options passed to vnu
+ * Filtering options (warnings, info, ignore rules) are applied after the cache so they are not part of it
+ * @param {string} file - Html file path
  * @param {object} cfg - Config
- * @returns {Promise<{finalUrl:string,html:string}>} - Html and final url
+ * @returns {Promise<string>} - Hex key, empty when the validator version is unknown
  */
-async function fetchHtml(pageUrl, cfg) {
-    var res = await fetch(pageUrl, {
-        redirect: 'follow',
-        headers: { 'User-Agent': (cfg && cfg.userAgent) ? cfg.userAgent : 'Mozilla/5.0 (node)' }
-    });
-
-    if (!res.ok) {
-        throw new Error('request failed ' + res.status + ' ' + pageUrl);
-    }
+async function resultCacheKey(file, cfg) {
+    var vnuVersion = cfg && cfg.validator && cfg.validator.version;
 
-    // Only process HTML or XHTML
-    var contentType = res.headers.get('content-type') || '';
-    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
-        return null;
+    if (!vnuVersion) {
+        return '';
     }
 
-    var finalUrl = (res.url && String(res.url)) ? String(res.url) : pageUrl;
-    var html = await res.text();
+    var mode = docMode(file);
+    var key = [await sha256File(file), vnuVersion, (mode === 'html' && cfg && cfg.html) ? 'html-parser' : mode].join('|');
 
-    return { finalUrl: finalUrl, html: html };
+    return crypto.createHash('sha256').update(key).digest('hex');
 }
 
 /**
- * Save html to temp and return file path
- * @param {string} dir - Temp dir
- * @param {string} pageUrl - Page url
- * @param {string} html - Html content
- * @returns {Promise<string>} - Saved file path
+ * Validate a document, reusing the stored vnu output when the same content was validated before
+ * @param {string} file - Html file path
+ * @param {object} cfg - Config, cfg.cache === false skips the cache
+ * @returns {Promise<{stdout:string,stderr:string,code:number,cached:boolean}>} - Validator output
  */
-async function saveHtml(dir, pageUrl, html) {
-    var name = toSafeName(pageUrl);
-    var dest = path.join(dir, name);
-    var tmp = dest + '.part';
+async function runCached(file, cfg) {
+    if (cfg && cfg.cache === false) {
+        return runDocument(file, cfg);
+    }
 
-    // Prettify HTML for readability
-    var prettyHtml = beautify(String(html || ''), { indent_size: 2, wrap_line_length: 120 });
-    await fsp.writeFile(tmp, prettyHtml, 'utf8');
-    try {
-        fs.renameSync(tmp, dest);
-    } catch (err) {
-        if (err && err.code === 'ENOENT') {
-            // File was not written, skip mapping and print clear message
-            console.error(chalk.red('      Failed to save HTML for: ') + pageUrl + chalk.dim(' (no file written)'));
-            return null;
-        } else {
-            throw err;
+    var key = await resultCacheKey(file, cfg);
+    var entry = key ? path.join(RESULTS_CACHE_DIR, key + '.json') : '';
+
+    if (entry) {
+        var hit = null;
+        try {
+            hit = Object.assign(JSON.parse(await fsp.readFile(entry, 'utf8')), { cached: true });
+        } catch (e) { /* miss or unreadable entry, validate again */ }
+
+        if (hit) {
+            /* the age used for pruning counts from the last use */
+            var now = new Date();
+            await fsp.utimes(entry, now, now).catch(function () { /* read-only cache */ });
+            return hit;
         }
     }
 
-    // Track mapping for clickable output
-    urlToFileMap[pageUrl] = dest;
+    var proc = await runDocument(file, cfg);
 
-    return dest;
+    /* only keep output vnu actually finished, tool failures are retried next run */
+    if (entry && !proc.timedOut && readVnuJson(proc)) {
+        try {
+            ensureDir(RESULTS_CACHE_DIR);
+            var tmp = entry + '.' + process.pid + '.part';
+            await fsp.writeFile(tmp, JSON.stringify({ stdout: proc.stdout || '', stderr: proc.stderr || '', code: proc.code }));
+            await fsp.rename(tmp, entry);
+        } catch (e) { /* a read-only cache only costs speed */ }
+    }
+
+    return proc;
 }
 
 /**
- * Extract links from html
- * @param {string} html - Html content
- * @param {string} baseUrl - Base url
- * @returns {Array<string>} - Absolute links
+ * Delete cached results that have not been used for RESULTS_CACHE_MAX_AGE
+ * A marker file records the last prune so only one run a day walks the folder
+ * @returns {Promise<void>} - Resolves once old entries are removed, failures only cost disk space
  */
-function extractLinks(html, baseUrl) {
-    var $ = cheerio.load(String(html || ''));
-    var out = [];
-    var seen = Object.create(null);
-
-    $('a[href], area[href]').each(function () {
-        var href = $(this).attr('href');
-        var abs = toAbsUrl(href, baseUrl);
+async function pruneResultsCache() {
+    var marker = path.join(RESULTS_CACHE_DIR, '.pruned');
+    var now = Date.now();
 
-        if (!abs) {
+    try {
+        if (now - (await fsp.stat(marker)).mtimeMs < RESULTS_CACHE_PRUNE_EVERY) {
             return;
         }
+    } catch (e) { /* never pruned */ }
+
+    try {
+        ensureDir(RESULTS_CACHE_DIR);
+        await fsp.writeFile(marker, '');
+
+        var names = await fsp.readdir(RESULTS_CACHE_DIR);
 
-        if (!Object.prototype.hasOwnProperty.call(seen, abs)) {
-            seen[abs] = true;
-            out.push(abs);
+        for (var i = 0; i < names.length; i++) {
+            var entry = path.join(RESULTS_CACHE_DIR, names[i]);
+
+            if (entry === marker) {
+                continue;
+            }
+
+            try {
+                if (now - (await fsp.stat(entry)).mtimeMs > RESULTS_CACHE_MAX_AGE) {
+                    await fsp.unlink(entry);
+                }
+            } catch (e) { /* removed by another run */ }
         }
-    });
+    } catch (e) { /* a read-only cache is never pruned */ }
+}
 
-    return out;
+/**
+ * Count results reused from the cache
+ * @param {Array} results - Page results
+ * @returns {number} - Cache hits
+ */
+function countCacheHits(results) {
+    return (results || []).filter(function (r) { return r && r.cached; }).length;
 }
 
 /**
- * A tiny async pool
- * @param {Array<any>} items - Items
- * @param {number} concurrency - Max concurrent
- * @param {function(any):Promise<any>} worker - Worker
- * @returns {Promise<Array<any>>} - Results
+ * Clean validator message
+ * @param {string} s - Raw message
+ * @returns {string} - Clean message
  */
-async function asyncPool(items, concurrency, worker) {
-    var results = [];
-    var i = 0;
+function cleanMessage(s) {
+    return String(s || '').replace(/\s+/g, ' ').trim();
+}
 
-    if (!items || !items.length) {
-        return results;
+/**
+ * Build an issue from a vnu message, keeping line/col/msg for existing consumers
+ * @param {object} it - Raw vnu message
+ * @param {string} type - Severity: error, warning or info
+ * @param {string} msg - Clean message
+ * @returns {object} - Issue with start/end positions, extract and highlight
+ */
+function toIssue(it, type, msg) {
+    var lastLine = parseInt(it.lastLine || it.firstLine || it.line, 10) || 0;
+    var lastColumn = parseInt(it.lastColumn || it.firstColumn || it.column, 10) || 0;
+    var firstLine = parseInt(it.firstLine, 10) || lastLine;
+    var firstColumn = parseInt(it.firstColumn, 10) || lastColumn;
+
+    var issue = {
+        line: lastLine,
+        col: lastColumn,
+        msg: msg,
+        type: type,
+        subType: it.subType ? String(it.subType) : '',
+        firstLine: firstLine,
+        firstColumn: firstColumn,
+        lastLine: lastLine,
+        lastColumn: lastColumn
+    };
+
+    if (typeof it.extract === 'string') {
+        issue.extract = it.extract;
+        issue.hiliteStart = parseInt(it.hiliteStart, 10) || 0;
+        issue.hiliteLength = parseInt(it.hiliteLength, 10) || 0;
     }
 
-    concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+    return issue;
+}
 
-    var running = 0;
-    var done = 0;
+/**
+ * Build the error for a page the tool could not validate (fetch failure, timeout) in the same shape, without a position
+ * @param {Error|any} e - Failure
+ * @returns {object} - Issue
+ */
+function toolIssue(e) {
+    return toIssue({}, 'error', (e && e.message) ? e.message : String(e));
+}
 
-    return new Promise(function (resolve, reject) {
+/**
+ * Parse vnu json messages into errors, warnings and (opt-in) info
+ * @param {any} json - Parsed json
+ * @param {object} cfg - Config, cfg.info keeps info-level messages
+ * @returns {{errors:Array,warnings:Array,info:Array}} - Parsed issues
+ */
+function parseIssuesFromJson(json, cfg) {
+    var errors = [];
+    var warnings = [];
+    var info = [];
 
-        function next() {
-            while (running < concurrency && i < items.length) {
-                (function (idx) {
-                    running++;
+    var list = json;
 
-                    Promise.resolve()
-                        .then(function () { return worker(items[idx]); })
-                        .then(function (res) {
-                            results[idx] = res;
-                            running--;
-                            done++;
-                            if (done === items.length) {
-                                resolve(results);
-                                return;
-                            }
-                            next();
-                        })
-                        .catch(function (err) {
-                            reject(err);
-                        });
+    if (!Array.isArray(list) && json && Array.isArray(json.messages)) {
+        list = json.messages;
+    }
 
-                })(i);
+    if (!Array.isArray(list)) {
+        return { errors: errors, warnings: warnings, info: info };
+    }
 
-                i++;
+    for (var i = 0; i < list.length; i++) {
+        var it = list[i] || {};
+        var type = String(it.type || '').toLowerCase();
+        var subType = String(it.subType || '').toLowerCase();
+
+        var msg = cleanMessage(it.message || it.msg || '');
+
+        if (!msg) {
+            continue;
+        }
+
+        if (type === 'error') {
+            errors.push(toIssue(it, 'error', msg));
+            continue;
+        }
+
+        if (type !== 'info' && type !== 'warning') {
+            continue;
+        }
+
+        if (subType === 'warning' || type === 'warning') {
+            if (cfg && cfg.warnings > 0) {
+                warnings.push(toIssue(it, 'warning', msg));
             }
+            continue;
         }
 
-        next();
-    });
+        if (cfg && cfg.info) {
+            info.push(toIssue(it, 'info', msg));
+        }
+    }
+
+    return { errors: errors, warnings: warnings, info: info };
 }
 
 /**
- * Validate a single page url
- * @param {string} pageUrl - Url
+ * Parse validator output
+ * @param {{stdout:string,stderr:string,code:number}} proc - Process output
  * @param {object} cfg - Config
- * @param {string} tmpDir - Temp dir
- * @returns {Promise<{url:string,ok:boolean,errors:Array,warnings:Array,finalUrl:string,links:Array}>} - Result
+ * @returns {{errors:Array,warnings:Array,info:Array}} - Parsed issues
  */
-async function validateOneUrl(pageUrl, cfg, tmpDir) {
-
-    var fetched = await fetchHtml(pageUrl, cfg);
-    if (!fetched) {
-        // Not HTML, skip crawling and validation
-        return {
-            url: pageUrl,
-            finalUrl: pageUrl,
-            ok: true,
-            errors: [],
-            warnings: [],
-            links: []
-        };
+function parseIssues(proc, cfg) {
+    if (proc.timedOut) {
+        throw new Error('validator timed out after ' + (proc.timeout / 1000) + 's');
     }
-    var finalUrl = fetched.finalUrl;
-    var html = fetched.html;
 
-    var file = await saveHtml(tmpDir, finalUrl, html);
-    var proc = await runOne(file, cfg);
-
-    var issues = parseIssues(proc, cfg);
-
-    var includeWarnings = !cfg.errorsOnly && cfg.warnings > 0;
-    var ok = (issues.errors.length === 0 && (!includeWarnings || issues.warnings.length === 0));
+    var json = readVnuJson(proc);
 
-    var links = extractLinks(html, finalUrl);
+    if (!json) {
+        throw new Error('validator did not produce JSON output');
+    }
 
-    // Map both the original and final URL to the prettified file
-    urlToFileMap[pageUrl] = file;
-    urlToFileMap[finalUrl] = file;
+    return parseIssuesFromJson(json, cfg);
+}
+
+/**
+ * Find the vnu json in validator output, the service answers on stdout and java -jar prints it on stderr
+ * @param {{stdout:string,stderr:string}} proc - Validator output
+ * @returns {object|Array|null} - Parsed json or null if there is none
+ */
+function readVnuJson(proc) {
+    return safeParseFirstJson(proc.stdout) ||
+        safeParseFirstJson(proc.stderr) ||
+        safeParseFirstJson(String(proc.stdout || '') + String(proc.stderr || ''));
+}
+
+/**
+ * Turn a "regex:source" string into a RegExp
+ * @param {string|RegExp} v - Pattern
+ * @returns {RegExp|null} - RegExp or null if not a regex pattern, throws if it does not compile
+ */
+function toRegExp(v) {
+    if (v instanceof RegExp) {
+        return v;
+    }
+
+    var s = String(v == null ? '' : v);
+
+    return s.indexOf(REGEX_PREFIX) === 0 ? new RegExp(s.slice(REGEX_PREFIX.length)) : null;
+}
+
+/**
+ * Compile a pattern option once, so a bad regex stops the run before anything is validated
+ * @param {string|RegExp} pattern - Text, glob or "regex:" pattern
+ * @param {string} what - Option name for the error message
+ * @returns {string|RegExp} - RegExp for regex patterns, otherwise the pattern unchanged
+ */
+function compilePattern(pattern, what) {
+    try {
+        return toRegExp(pattern) || pattern;
+    } catch (e) {
+        throw new Error('invalid ' + what + ' pattern ' + pattern + ' (' + e.message + ')');
+    }
+}
+
+/**
+ * Check a file path or url against a glob or "regex:" pattern
+ * @param {string} value - File path or url
+ * @param {string|RegExp} pattern - Glob or regex
+ * @returns {boolean} - True if it matches
+ */
+function matchesPattern(value, pattern) {
+    var re = toRegExp(pattern);
+
+    if (re) {
+        return re.test(value);
+    }
+
+    return minimatch(value, String(pattern), { dot: true });
+}
+
+/**
+ * Normalize ignore rules from cfg.ignore
+ * A rule is an exact message, a "regex:" string, a RegExp or {message, files, urls}
+ * @param {Array|string|RegExp|object|undefined} v - Raw rules
+ * @returns {Array<{message:string|RegExp,files:Array,urls:Array}>} - Rules
+ */
+function toIgnoreRules(v) {
+    var list = [].concat(v || []);
+    var rules = [];
+
+    for (var i = 0; i < list.length; i++) {
+        var it = list[i];
+
+        if (!it) {
+            continue;
+        }
+
+        if (typeof it === 'string' || it instanceof RegExp) {
+            it = { message: it };
+        }
+
+        if (!it.message) {
+            throw new Error('ignore rule needs a message ' + JSON.stringify(it));
+        }
+
+        var message = compilePattern(it.message, 'ignore');
+
+        rules.push({
+            message: (message instanceof RegExp) ? message : cleanMessage(message),
+            files: [].concat(it.files || []).map(function (f) { return compilePattern(f, 'ignore files'); }),
+            urls: [].concat(it.urls || []).map(function (u) { return compilePattern(u, 'ignore urls'); })
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Check whether an ignore rule or config override applies to a page or file
+ * @param {{files:Array,urls:Array}} scope - File globs and url patterns (none = everywhere)
+ * @param {string} where - File path or url of the page
+ * @returns {boolean} - True if in scope
+ */
+function inScope(scope, where) {
+    var files = [].concat(scope.files || []);
+    var urls = [].concat(scope.urls || []);
+    var i;
+
+    if (!files.length && !urls.length) {
+        return true;
+    }
+
+    if (isUrl(where)) {
+        for (i = 0; i < urls.length; i++) {
+            if (matchesPattern(where, urls[i])) { return true; }
+        }
+        return false;
+    }
+
+    var rel = path.relative(process.cwd(), path.resolve(where)).split(path.sep).join('/');
+    var abs = path.resolve(where).split(path.sep).join('/');
+
+    for (i = 0; i < files.length; i++) {
+        if (matchesPattern(rel, files[i]) || matchesPattern(abs, files[i])) { return true; }
+    }
+
+    return false;
+}
+
+/**
+ * Resolve the config for one page by applying matching cfg.overrides in order
+ * Ignore rules from overrides are added to the global ones, other keys replace them
+ * @param {string} where - File path or url of the page
+ * @param {object} cfg - Config
+ * @returns {object} - Page config (cfg itself when nothing matches)
+ */
+function cfgFor(where, cfg) {
+    var overrides = (cfg && cfg.overrides) || [];
+    var out = cfg;
+
+    for (var i = 0; i < overrides.length; i++) {
+        var o = overrides[i];
+
+        if (!inScope(o, where)) {
+            continue;
+        }
+
+        var ignore = [].concat(out.ignore || [], o.ignore || []);
+
+        out = Object.assign({}, out);
+        for (var j = 0; j < OVERRIDE_KEYS.length; j++) {
+            if (o[OVERRIDE_KEYS[j]] !== undefined) {
+                out[OVERRIDE_KEYS[j]] = o[OVERRIDE_KEYS[j]];
+            }
+        }
+        out.ignore = ignore;
+    }
+
+    return out;
+}
+
+/**
+ * Move issues matching cfg.ignore rules into an ignored list
+ * @param {{errors:Array,warnings:Array,info:Array}} issues - Parsed issues
+ * @param {string} where - File path or url of the page
+ * @param {object} cfg - Config
+ * @returns {{errors:Array,warnings:Array,info:Array,ignored:Array}} - Kept and suppressed issues
+ */
+function applyIgnoreRules(issues, where, cfg) {
+    var rules = toIgnoreRules(cfg && cfg.ignore).filter(function (rule) {
+        return inScope(rule, where);
+    });
+
+    var out = { errors: [], warnings: [], info: [], ignored: [] };
+    var lists = { error: 'errors', warning: 'warnings', info: 'info' };
+
+    function keep(list, type) {
+        for (var i = 0; i < list.length; i++) {
+            var it = list[i];
+            var rule = null;
+
+            for (var j = 0; j < rules.length && !rule; j++) {
+                var m = rules[j].message;
+                if ((m instanceof RegExp) ? m.test(it.msg) : m === it.msg) {
+                    rule = rules[j];
+                }
+            }
+
+            if (rule) {
+                out.ignored.push(Object.assign({}, it, { type: type, rule: (rule.message instanceof RegExp) ? REGEX_PREFIX + rule.message.source : rule.message }));
+            } else {
+                out[lists[type]].push(it);
+            }
+        }
+    }
+
+    keep(issues.errors, 'error');
+    keep(issues.warnings, 'warning');
+    keep(issues.info || [], 'info');
+
+    return out;
+}
+
+/**
+ * Find w3c-validate-disable / enable / disable-next-line comments in html source
+ * An optional "regex:" pattern or plain text after the directive limits it to matching messages
+ * @param {string} src - Html source
+ * @returns {Array<{directive:string,pattern:string,line:number,col:number,endLine:number,endCol:number}>} - Comments in source order
+ */
+function findSuppressions(src) {
+    var re = /<!--\s*w3c-validate-(disable-next-line|disable|enable)\b([\s\S]*?)-->/g;
+    var out = [];
+    var m;
+
+    /* 1-based line and column of an offset */
+    function pos(offset) {
+        var before = src.slice(0, offset);
+        var nl = before.lastIndexOf('\n');
+        return { line: before.split('\n').length, col: offset - nl };
+    }
+
+    while ((m = re.exec(src))) {
+        var start = pos(m.index);
+        var end = pos(m.index + m[0].length - 1);
+
+        out.push({
+            directive: m[1],
+            pattern: cleanMessage(m[2]),
+            line: start.line,
+            col: start.col,
+            endLine: end.line,
+            endCol: end.col
+        });
+    }
+
+    return out;
+}
+
+/**
+ * Check an issue message against a suppression pattern (empty = everything)
+ * @param {string} pattern - "regex:" pattern or plain text
+ * @param {string} msg - Issue message
+ * @returns {boolean} - True if it matches
+ */
+function suppressionMatches(pattern, msg) {
+    if (!pattern) {
+        return true;
+    }
+
+    var re = toRegExp(pattern);
+
+    return re ? re.test(msg) : msg.indexOf(pattern) !== -1;
+}
+
+/**
+ * Move issues covered by inline suppression comments into the ignored list
+ * @param {{errors:Array,warnings:Array,info:Array,ignored:Array}} issues - Issues after ignore rules
+ * @param {string} src - Html source the issues refer to
+ * @returns {object} - Issues plus unusedSuppressions for comments that matched nothing or do not compile
+ */
+function applySuppressions(issues, src) {
+    var comments = src ? findSuppressions(src) : [];
+
+    issues.unusedSuppressions = [];
+
+    /* a comment with a broken regex: pattern suppresses nothing, so it is listed with the unused ones at any warning level */
+    comments = comments.filter(function (c) {
+        try {
+            toRegExp(c.pattern);
+            return true;
+        } catch (e) {
+            issues.unusedSuppressions.push({
+                line: c.line,
+                col: c.col,
+                msg: 'Invalid pattern in w3c-validate-' + c.directive + ' comment: ' + c.pattern + ' (' + e.message + ')',
+                error: e.message
+            });
+            return false;
+        }
+    });
+
+    if (!comments.length) {
+        return issues;
+    }
+
+    /* turn comments into ranges: next-line covers one line, disable runs until a matching enable */
+    var ranges = [];
+    var open = [];
+
+    comments.forEach(function (c) {
+        if (c.directive === 'disable-next-line') {
+            ranges.push({ comment: c, fromLine: c.endLine + 1, fromCol: 0, toLine: c.endLine + 1, toCol: Infinity, used: false });
+        }
+        else if (c.directive === 'disable') {
+            var range = { comment: c, fromLine: c.endLine, fromCol: c.endCol, toLine: Infinity, toCol: Infinity, used: false };
+            ranges.push(range);
+            open.push(range);
+        }
+        else {
+            open = open.filter(function (r) {
+                if (c.pattern && r.comment.pattern !== c.pattern) {
+                    return true;
+                }
+                r.toLine = c.line;
+                r.toCol = c.col;
+                return false;
+            });
+        }
+    });
+
+    function covers(r, it) {
+        var lines = [it.firstLine || it.line, it.line];
+
+        return lines.some(function (line) {
+            var col = (line === it.line) ? it.col : (it.firstColumn || it.col);
+            var afterStart = line > r.fromLine || (line === r.fromLine && col >= r.fromCol);
+            var beforeEnd = line < r.toLine || (line === r.toLine && col <= r.toCol);
+            return afterStart && beforeEnd;
+        });
+    }
+
+    function keep(list, type) {
+        return (list || []).filter(function (it) {
+            for (var i = 0; i < ranges.length; i++) {
+                if (covers(ranges[i], it) && suppressionMatches(ranges[i].comment.pattern, it.msg)) {
+                    ranges[i].used = true;
+                    issues.ignored.push(Object.assign({}, it, { type: type, rule: 'w3c-validate-' + ranges[i].comment.directive + ' (line ' + ranges[i].comment.line + ')' }));
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    issues.errors = keep(issues.errors, 'error');
+    issues.warnings = keep(issues.warnings, 'warning');
+    issues.info = keep(issues.info, 'info');
+
+    ranges.forEach(function (r) {
+        if (!r.used) {
+            issues.unusedSuppressions.push({
+                line: r.comment.line,
+                col: r.comment.col,
+                msg: 'Unused w3c-validate-' + r.comment.directive + ' comment' + (r.comment.pattern ? ' for ' + r.comment.pattern : '')
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Results pipeline for one document: parse vnu output, apply ignore rules, then inline suppression comments
+ * @param {{stdout:string,stderr:string,code:number}} proc - Validator output
+ * @param {string} file - Local copy of the document
+ * @param {string} where - File path or url the document is reported as
+ * @param {object} cfg - Config
+ * @returns {{errors:Array,warnings:Array,info:Array,ignored:Array,unusedSuppressions:Array}} - Issues
+ */
+function processIssues(proc, file, where, cfg) {
+    var issues = applyIgnoreRules(parseIssues(proc, cfg), where, cfg);
+    var src = '';
+
+    try { src = fs.readFileSync(file, 'utf8'); }
+    catch (e) { /* no source, no comments */ }
+
+    return applySuppressions(issues, src);
+}
+
+/**
+ * Count unused suppression comments across results
+ * @param {Array} results - Page results
+ * @returns {number} - Total unused comments
+ */
+function countUnusedSuppressions(results) {
+    var n = 0;
+
+    for (var i = 0; i < (results || []).length; i++) {
+        n += (results[i] && results[i].unusedSuppressions) ? results[i].unusedSuppressions.length : 0;
+    }
+
+    return n;
+}
+
+/**
+ * Count suppressed issues across results
+ * @param {Array} results - Page results
+ * @returns {number} - Total ignored issues
+ */
+function countIgnored(results) {
+    var n = 0;
+
+    for (var i = 0; i < (results || []).length; i++) {
+        n += (results[i] && results[i].ignored) ? results[i].ignored.length : 0;
+    }
+
+    return n;
+}
+
+/**
+ * Sort issues by position
+ * @param {Array} list - Issues
+ * @returns {Array} - New sorted array
+ */
+function sortByPosition(list) {
+    return (list || []).slice().sort(function (a, b) {
+        return ((a.firstLine || a.line) - (b.firstLine || b.line)) ||
+            ((a.firstColumn || a.col) - (b.firstColumn || b.col)) ||
+            (a.line - b.line) || (a.col - b.col);
+    });
+}
+
+/**
+ * Clip one source line around a highlighted range so minified pages stay readable
+ * @param {string} text - Source line
+ * @param {number} from - First highlighted column (1-based)
+ * @param {number} to - Last highlighted column (1-based, inclusive)
+ * @returns {{text:string,from:number,to:number}} - Clipped line and shifted range
+ */
+function clipFrameLine(text, from, to) {
+    var width = FRAME_WIDTH;
+    var start = 0;
+
+    text = text.replace(/\t/g, ' ');
+
+    if (text.length <= width) {
+        return { text: text, from: from, to: to };
+    }
+
+    /* keep the start of the range in view with some context before it */
+    start = Math.max(0, Math.min(from - 1 - 20, text.length - width));
+
+    var out = text.slice(start, start + width);
+    var shift = start;
+
+    if (start > 0) {
+        out = '…' + out.slice(1);
+    }
+
+    if (start + width < text.length) {
+        out = out.slice(0, -1) + '…';
+    }
+
+    return {
+        text: out,
+        from: Math.max(1, from - shift),
+        to: Math.min(width, Math.max(from - shift, to - shift))
+    };
+}
+
+/**
+ * Build a code frame of source lines around an issue with the range underlined
+ * @param {Array<string>} lines - Source lines
+ * @param {object} issue - Issue with line/col and optional first/last positions
+ * @param {function(string):string} color - Colour for the marker and underline
+ * @returns {string} - Frame text or empty if the position is unknown
+ */
+function codeFrame(lines, issue, color) {
+    var line = issue.lastLine || issue.line;
+
+    if (!lines || !line || line > lines.length) {
+        return '';
+    }
+
+    var to = issue.lastColumn || issue.col || 1;
+    var from = ((issue.firstLine || line) === line) ? (issue.firstColumn || to) : 1;
+    var first = Math.max(1, line - FRAME_CONTEXT);
+    var last = Math.min(lines.length, line + FRAME_CONTEXT);
+    var gutter = String(last).length;
+    var out = [];
+
+    for (var n = first; n <= last; n++) {
+        var num = (Array(gutter + 1).join(' ') + n).slice(-gutter);
+
+        if (n !== line) {
+            out.push(chalk.dim('        ' + num + ' | ' + clipFrameLine(lines[n - 1], 1, 1).text.replace(/\s+$/, '')));
+            continue;
+        }
+
+        var clip = clipFrameLine(lines[n - 1], from, to);
+        var pad = Array(gutter + 1).join(' ');
+
+        out.push(color('      > ') + num + chalk.dim(' | ') + clip.text.replace(/\s+$/, ''));
+        out.push('        ' + pad + chalk.dim(' | ') + Array(clip.from).join(' ') + color(Array(clip.to - clip.from + 2).join('^')));
+    }
+
+    return out.join('\n');
+}
+
+/**
+ * Read a local copy of a page as lines for code frames
+ * @param {string} file - File path
+ * @returns {Array<string>|null} - Lines or null if unreadable
+ */
+function readSourceLines(file) {
+    try {
+        return fs.readFileSync(file, 'utf8').split(/\r\n|\r|\n/);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a baseline is configured
+ * @param {object} cfg - Config, baseline is a file path or true for the default file
+ * @returns {boolean} - True if cfg.baseline or cfg.updateBaseline is set
+ */
+function hasBaseline(cfg) {
+    return !!(cfg && ((cfg.baseline !== undefined && cfg.baseline !== null && cfg.baseline !== false) || cfg.updateBaseline));
+}
+
+/**
+ * Resolve the baseline file path
+ * @param {object} cfg - Config
+ * @returns {string} - Absolute path
+ */
+function baselinePath(cfg) {
+    return path.resolve((typeof cfg.baseline === 'string' && cfg.baseline) ? cfg.baseline : DEFAULT_BASELINE);
+}
+
+/**
+ * Key a page in the baseline: urls as-is, files relative to the baseline file
+ * @param {string} where - Result url or file path
+ * @param {string} file - Baseline file path
+ * @returns {string} - Page key
+ */
+function baselineKey(where, file) {
+    if (!where) {
+        return '<input>';
+    }
+
+    if (isUrl(where)) {
+        return where;
+    }
+
+    return path.relative(path.dirname(file), path.resolve(where)).split(path.sep).join('/');
+}
+
+/**
+ * Load a baseline file into per-page message counts
+ * @param {string} file - Baseline file path
+ * @returns {{file:string,pages:object}} - Counts keyed by page then "type message"
+ */
+function loadBaseline(file) {
+    var json;
+
+    try {
+        json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e && e.code === 'ENOENT') {
+            throw new Error('baseline not found ' + file + ' (create it with --update-baseline)');
+        }
+        throw new Error('invalid baseline file ' + file + ' (' + (e && e.message ? e.message : String(e)) + ')');
+    }
+
+    if (!json || typeof json.pages !== 'object' || Array.isArray(json.pages)) {
+        throw new Error('invalid baseline file ' + file + ' (missing pages)');
+    }
+
+    var pages = {};
+
+    Object.keys(json.pages).forEach(function (key) {
+        pages[key] = {};
+        [].concat(json.pages[key] || []).forEach(function (it) {
+            var k = (it.type || 'error') + ' ' + it.msg;
+            pages[key][k] = (pages[key][k] || 0) + (parseInt(it.count, 10) || 1);
+        });
+    });
+
+    return { file: file, pages: pages };
+}
+
+/**
+ * Move issues already in the baseline out of a page result and recompute ok
+ * Matching is by page and message only, so issues survive line shifts
+ * @param {object} res - Page result
+ * @param {object} cfg - Config with baselineData
+ * @returns {object} - Same result, with baselined and fixed lists when a baseline is loaded
+ */
+function applyBaseline(res, cfg) {
+    if (!cfg || !cfg.baselineData) {
+        return res;
+    }
+
+    var counts = Object.assign({}, cfg.baselineData.pages[baselineKey(res.url, cfg.baselineData.file)] || {});
+
+    res.baselined = [];
+
+    function keep(list, type) {
+        return (list || []).filter(function (it) {
+            var k = type + ' ' + it.msg;
+            if (counts[k] > 0) {
+                counts[k]--;
+                res.baselined.push(it);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    res.errors = keep(res.errors, 'error');
+    res.warnings = keep(res.warnings, 'warning');
+
+    /* anything left in the baseline for this page no longer occurs */
+    res.fixed = [];
+    Object.keys(counts).forEach(function (k) {
+        if (counts[k] > 0) {
+            var sp = k.indexOf(' ');
+            res.fixed.push({ type: k.slice(0, sp), msg: k.slice(sp + 1), count: counts[k] });
+        }
+    });
+
+    var includeWarnings = !cfg.errorsOnly && cfg.warnings > 0;
+    res.ok = (res.errors.length === 0 && (!includeWarnings || res.warnings.length === 0));
+
+    return res;
+}
+
+/**
+ * Summarize baseline matches for a run
+ * @param {{results:Array}} summary - Validation summary
+ * @param {string} file - Baseline file path
+ * @returns {{file:string,known:number,fixed:Array}} - Known count and removable entries
+ */
+function baselineSummary(summary, file) {
+    var known = 0;
+    var fixed = [];
+
+    summary.results.forEach(function (res) {
+        known += (res.baselined || []).length;
+        (res.fixed || []).forEach(function (it) {
+            fixed.push({ url: res.url || '<input>', type: it.type, msg: it.msg, count: it.count });
+        });
+    });
+
+    return { file: file, known: known, fixed: fixed };
+}
+
+/**
+ * Record the current errors and warnings in the baseline file
+ * Pages not validated in this run keep their existing entries
+ * @param {{results:Array}} summary - Validation summary
+ * @param {string} file - Baseline file path
+ * @returns {{file:string,updated:boolean,known:number}} - Baseline info
+ */
+function writeBaseline(summary, file) {
+    var pages = {};
+    var known = 0;
+
+    if (fs.existsSync(file)) {
+        try { pages = JSON.parse(fs.readFileSync(file, 'utf8')).pages || {}; }
+        catch (e) { pages = {}; }
+    }
+
+    summary.results.forEach(function (res) {
+        var counts = {};
+
+        [['error', res.errors], ['warning', res.warnings]].forEach(function (pair) {
+            (pair[1] || []).forEach(function (it) {
+                /* broken links are checked after the baseline is applied, accepting them there would never match */
+                if (it.subType === 'broken-link') {
+                    return;
+                }
+
+                var k = pair[0] + ' ' + it.msg;
+                counts[k] = counts[k] || { type: pair[0], msg: it.msg, count: 0 };
+                counts[k].count++;
+                known++;
+            });
+        });
+
+        var key = baselineKey(res.url, file);
+        var list = Object.keys(counts).sort().map(function (k) { return counts[k]; });
+
+        if (list.length) {
+            pages[key] = list;
+        } else {
+            delete pages[key];
+        }
+    });
+
+    var sorted = {};
+    Object.keys(pages).sort().forEach(function (k) { sorted[k] = pages[k]; });
+
+    ensureDir(path.dirname(file));
+    fs.writeFileSync(file, JSON.stringify({ version: 1, pages: sorted }, null, 2) + '\n', 'utf8');
+
+    return { file: file, updated: true, known: known };
+}
+
+/**
+ * Print one page result
+ * cfg.format 'compact' prints one line per issue, 'pretty' (default) adds a code frame
+ * @param {{url:string,ok:boolean,errors:Array,warnings:Array,info:Array}} res - Page result
+ * @param {object} cfg - Config
+ * @returns {void} - Prints to stdout or stderr
+ */
+function printPageResult(res, cfg) {
+    var green = chalk.green;
+    var red = chalk.red;
+    var orange = chalk.hex('#FFA500');
+    var dim = chalk.dim;
+
+    // Always use absolute file path for clickability if available
+    var localFile = urlToFileMap[res.url] || res.url;
+    if (!path.isAbsolute(localFile) && fs.existsSync(localFile)) {
+        localFile = path.resolve(localFile);
+    }
+
+    var known = (res.baselined && res.baselined.length) ? dim(' (' + res.baselined.length + ' in baseline)') : '';
+
+    // Unused suppression comments are listed for passing pages too, so they do not rot
+    function printUnused() {
+        var unused = res.unusedSuppressions || [];
+        for (var u = 0; u < unused.length; u++) {
+            console.error(dim('      ' + unused[u].msg + ' ' + localFile + ':' + unused[u].line + ':' + unused[u].col));
+        }
+    }
+
+    if (res.ok) {
+        console.log(green('  ✔ ' + res.url) + known);
+        printUnused();
+        return;
+    }
+
+    console.log(red('  ✖ ' + res.url) + known);
+
+    var pretty = !cfg || !cfg.format || cfg.format === 'pretty';
+    var lines = pretty ? readSourceLines(localFile) : null;
+
+    var groups = [{ list: res.errors, color: red }];
+    if (!cfg || !cfg.errorsOnly) {
+        groups.push({ list: res.warnings, color: orange });
+        groups.push({ list: res.info, color: dim });
+    }
+
+    for (var g = 0; g < groups.length; g++) {
+        var list = sortByPosition(groups[g].list);
+        var color = groups[g].color;
+
+        for (var i = 0; i < list.length; i++) {
+            var e = list[i];
+            var where = localFile + ':' + (e.line || 0) + (e.col ? ':' + e.col : '');
+            // Print message, then clickable file:line:col in gray
+            console.error(color('      ' + e.msg) + ' ' + dim(where));
+
+            var frame = lines ? codeFrame(lines, e, color) : '';
+            if (frame) {
+                console.error(frame);
+                console.error('');
+            }
+        }
+    }
+
+    printUnused();
+}
+
+/**
+ * Normalize href to absolute and strip hash
+ * @param {string} href - Link href
+ * @param {string} base - Base url
+ * @returns {string|null} - Absolute url or null
+ */
+function toAbsUrl(href, base) {
+    if (!href) { return null; }
+
+    var s = String(href || '').trim();
+
+    if (!s) { return null; }
+    if (/^(mailto|tel|javascript|data):/i.test(s)) { return null; }
+
+    try {
+        var abs = String(new URL(s, base).href);
+        abs = abs.replace(/#.*$/, '');
+        return abs;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Match a url against an --include/--exclude/--max-per-pattern pattern
+ * "regex:" patterns match the full url, globs with * the full url or only path and query when they start with /;
+ * anything else is a plain substring, as --exclude always was
+ * @param {string} href - Absolute url
+ * @param {string|RegExp} pattern - Pattern, compiled by prepareRun
+ * @returns {boolean} - True if it matches
+ */
+function matchesUrl(href, pattern) {
+    var re = toRegExp(pattern);
+
+    if (re) {
+        return re.test(href);
+    }
+
+    var p = String(pattern);
+
+    if (p.indexOf('*') === -1) {
+        return href.indexOf(p) !== -1;
+    }
+
+    if (p[0] === '/') {
+        try {
+            var u = new URL(href);
+            return minimatch(u.pathname + u.search, p, { dot: true });
+        } catch (e) {
+            return false;
+        }
+    }
+
+    return minimatch(href, p, { dot: true });
+}
+
+/**
+ * Decide why a url should not be crawled
+ * @param {string} href - Absolute url
+ * @param {object} cfg - Config
+ * @param {string} origin - Allowed origin
+ * @returns {string} - Key of SKIP_REASONS, empty if it should be crawled
+ */
+function crawlSkipReason(href, cfg, origin) {
+    if (!href || !/^https?:\/\//i.test(href)) {
+        return 'scheme';
+    }
+
+    // skip common non-HTML file types (e.g., pdf, zip, docx, etc)
+    if (/\.(pdf|zip|docx?|xlsx?|pptx?|jpg|jpeg|png|gif|svg|mp3|mp4|avi|mov|wmv|exe|dmg|tar|gz|rar|7z)(\?|#|$)/i.test(href)) {
+        return 'file-type';
+    }
+    // skip links that look like downloads
+    if (/download(=|\b|\/|\.)|attachment(=|\b|\/|\.)|file(=|\b|\/|\.)/i.test(href)) {
+        return 'file-type';
+    }
+
+    var u;
+    try {
+        u = new URL(href);
+    } catch (e) {
+        return 'scheme';
+    }
+
+    if (cfg && cfg.sameOrigin && u.origin !== origin) {
+        return 'origin';
+    }
+
+    if (cfg && cfg.stripQuery && href.indexOf('?') !== -1) {
+        return 'query';
+    }
+
+    var scope = toList(cfg && cfg.scope);
+    if (scope.length && !scope.some(function (prefix) { return u.pathname.indexOf(scopePath(prefix)) === 0; })) {
+        return 'scope';
+    }
+
+    var include = [].concat((cfg && cfg.include) || []).filter(Boolean);
+    if (include.length && !include.some(function (p) { return matchesUrl(href, p); })) {
+        return 'include';
+    }
+
+    if (cfg && cfg.exclude && cfg.exclude.some(function (p) { return matchesUrl(href, p); })) {
+        return 'exclude';
+    }
+
+    return '';
+}
+
+/**
+ * Path prefix of a --scope value, which may be a full url
+ * @param {string} prefix - Path or url
+ * @returns {string} - Path prefix
+ */
+function scopePath(prefix) {
+    try {
+        return new URL(prefix).pathname;
+    } catch (e) {
+        return String(prefix);
+    }
+}
+
+/**
+ * Parse --max-per-pattern caps
+ * @param {Array<string>|string|object} v - "pattern=count" strings or a {pattern: count} object
+ * @returns {Array<{pattern:string,max:number,count:number}>} - Caps with their running count
+ */
+function parseCaps(v) {
+    var out = [];
+
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+        Object.keys(v).forEach(function (k) {
+            out.push({ pattern: k, max: parseInt(v[k], 10), count: 0 });
+        });
+    }
+    else {
+        [].concat(v || []).forEach(function (c) {
+            var eq = String(c).lastIndexOf('=');
+            out.push({ pattern: String(c).slice(0, eq), max: parseInt(String(c).slice(eq + 1), 10), count: 0 });
+        });
+    }
+
+    out.forEach(function (c) {
+        if (!c.pattern || isNaN(c.max) || c.max < 0) {
+            throw new Error('invalid max per pattern "' + c.pattern + '", use "pattern=count"');
+        }
+    });
+
+    return out;
+}
+
+/**
+ * Per-crawl state shared by every request of one url target
+ * Headers, cookies from --cookie and basic auth are only sent to the start url's origin
+ * @param {string} [startUrl] - Crawl start url, without credentials
+ * @param {object} [cfg] - Config
+ * @param {{username:string,password:string}} [urlAuth] - Credentials taken from the start url
+ * @returns {object} - Robots rules and next request time by origin, skip reasons and fetch outcomes by url, cookies and credentials
+ */
+function createCrawl(startUrl, cfg, urlAuth) {
+    var crawl = {
+        robots: Object.create(null),
+        nextAt: Object.create(null),
+        skipped: Object.create(null),
+        status: Object.create(null),
+        origin: '',
+        headers: parseHeaders(cfg && cfg.headers),
+        auth: null,
+        cookies: []
+    };
+
+    if (!startUrl) {
+        return crawl;
+    }
+
+    var start = new URL(startUrl);
+    crawl.origin = start.origin;
+
+    var username = process.env.W3C_VALIDATE_HTML_USERNAME || (urlAuth && urlAuth.username) || '';
+    var password = process.env.W3C_VALIDATE_HTML_PASSWORD || (urlAuth && urlAuth.password) || '';
+    if (username || password) {
+        crawl.auth = 'Basic ' + Buffer.from(username + ':' + password).toString('base64');
+    }
+
+    if (cfg && cfg.cookieJar) {
+        crawl.cookies = readCookieJar(cfg.cookieJar);
+    }
+
+    String((cfg && cfg.cookie) || '').split(';').forEach(function (pair) {
+        var eq = pair.indexOf('=');
+        if (eq > 0) {
+            setCookie(crawl, { name: pair.slice(0, eq).trim(), value: pair.slice(eq + 1).trim(), domain: start.hostname, hostOnly: true, path: '/', secure: false, expires: 0 });
+        }
+    });
+
+    return crawl;
+}
+
+/**
+ * Parse --header values
+ * @param {Array<string>|string|object} v - "Name: value" strings or a {name: value} object
+ * @returns {object} - Headers
+ */
+function parseHeaders(v) {
+    var out = {};
+
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+        return Object.assign(out, v);
+    }
+
+    [].concat(v || []).forEach(function (h) {
+        var colon = String(h).indexOf(':');
+
+        /* never echo the value, it is usually a token */
+        if (colon < 1) {
+            throw new Error('invalid header, use "Name: value"');
+        }
+
+        out[String(h).slice(0, colon).trim()] = String(h).slice(colon + 1).trim();
+    });
+
+    return out;
+}
+
+/**
+ * Split credentials out of a url so they are never printed or reported
+ * @param {string} href - Url, maybe with user:password@
+ * @returns {{href:string,auth:{username:string,password:string}|null}} - Url without credentials and the credentials
+ */
+function splitUrlAuth(href) {
+    var u;
+    try { u = new URL(href); } catch (e) { return { href: href, auth: null }; }
+
+    if (!u.username && !u.password) {
+        return { href: href, auth: null };
+    }
+
+    var auth = { username: decodeURIComponent(u.username), password: decodeURIComponent(u.password) };
+    u.username = '';
+    u.password = '';
+
+    return { href: u.href, auth: auth };
+}
+
+/**
+ * Read a Netscape/curl cookies.txt file
+ * @param {string} file - Cookie jar path
+ * @returns {Array<object>} - Cookies
+ */
+function readCookieJar(file) {
+    var text;
+
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new Error('Cannot read cookie jar ' + file + ': ' + (e && e.message ? e.message : String(e)));
+    }
+
+    var cookies = [];
+
+    text.split(/\r?\n/).forEach(function (line) {
+        /* curl marks HttpOnly cookies with a prefix on an otherwise commented line */
+        line = line.replace(/^#HttpOnly_/, '');
+        if (!line.trim() || line[0] === '#') {
+            return;
+        }
+
+        var f = line.split('\t');
+        if (f.length < 7) {
+            return;
+        }
+
+        cookies.push({
+            name: f[5],
+            value: f[6],
+            domain: f[0].replace(/^\./, '').toLowerCase(),
+            hostOnly: f[1].toUpperCase() !== 'TRUE',
+            path: f[2] || '/',
+            secure: f[3].toUpperCase() === 'TRUE',
+            expires: (parseInt(f[4], 10) || 0) * 1000
+        });
+    });
+
+    return cookies;
+}
+
+/**
+ * Add or replace a cookie in the crawl jar
+ * @param {object} crawl - Crawl state
+ * @param {object} cookie - Cookie
+ * @returns {void}
+ */
+function setCookie(crawl, cookie) {
+    crawl.cookies = crawl.cookies.filter(function (c) {
+        return !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path);
+    });
+    crawl.cookies.push(cookie);
+}
+
+/**
+ * Keep the cookies a response sets
+ * @param {object} crawl - Crawl state
+ * @param {string} href - Request url
+ * @param {object} res - Fetch response
+ * @returns {void}
+ */
+function storeCookies(crawl, href, res) {
+    var u = new URL(href);
+    var host = u.hostname.toLowerCase();
+    var headers = res.headers.raw()['set-cookie'] || [];
+
+    headers.forEach(function (header) {
+        var parts = header.split(';');
+        var eq = parts[0].indexOf('=');
+        if (eq < 1) {
+            return;
+        }
+
+        var cookie = {
+            name: parts[0].slice(0, eq).trim(),
+            value: parts[0].slice(eq + 1).trim(),
+            domain: host,
+            hostOnly: true,
+            path: u.pathname.replace(/\/[^/]*$/, '') || '/',
+            secure: false,
+            expires: 0
+        };
+
+        parts.slice(1).forEach(function (attr) {
+            var i = attr.indexOf('=');
+            var key = (i === -1 ? attr : attr.slice(0, i)).trim().toLowerCase();
+            var value = i === -1 ? '' : attr.slice(i + 1).trim();
+
+            if (key === 'domain' && value) {
+                cookie.domain = value.replace(/^\./, '').toLowerCase();
+                cookie.hostOnly = false;
+            }
+            else if (key === 'path' && value[0] === '/') {
+                cookie.path = value;
+            }
+            else if (key === 'secure') {
+                cookie.secure = true;
+            }
+            else if (key === 'expires' && !cookie.maxAge) {
+                cookie.expires = Date.parse(value) || 0;
+            }
+            else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+                cookie.maxAge = true;
+                cookie.expires = Date.now() + parseInt(value, 10) * 1000;
+            }
+        });
+        delete cookie.maxAge;
+
+        /* a site may only set cookies for itself or a parent domain */
+        if (host !== cookie.domain && !host.endsWith('.' + cookie.domain)) {
+            return;
+        }
+
+        setCookie(crawl, cookie);
+    });
+}
+
+/**
+ * Cookie header for a request
+ * @param {object} crawl - Crawl state
+ * @param {string} href - Request url
+ * @returns {string} - Cookie header, empty when none apply
+ */
+function cookieHeader(crawl, href) {
+    var u = new URL(href);
+    var host = u.hostname.toLowerCase();
+    var now = Date.now();
+
+    return crawl.cookies.filter(function (c) {
+        var domainOk = c.hostOnly ? host === c.domain : (host === c.domain || host.endsWith('.' + c.domain));
+        var pathOk = u.pathname === c.path || u.pathname.indexOf(c.path.replace(/\/?$/, '/')) === 0;
+        var live = !c.expires || c.expires > now;
+        return domainOk && pathOk && live && (!c.secure || u.protocol === 'https:');
+    }).map(function (c) {
+        return c.name + '=' + c.value;
+    }).join('; ');
+}
+
+/**
+ * Headers for one crawl request
+ * @param {string} href - Request url
+ * @param {object} cfg - Config
+ * @param {object} crawl - Crawl state
+ * @returns {object} - Request headers
+ */
+function requestHeaders(href, cfg, crawl) {
+    var headers = { 'User-Agent': (cfg && cfg.userAgent) ? cfg.userAgent : 'Mozilla/5.0 (node)' };
+    var own = crawl.origin && new URL(href).origin === crawl.origin;
+
+    if (own) {
+        Object.assign(headers, crawl.headers);
+
+        var hasAuth = Object.keys(headers).some(function (k) { return k.toLowerCase() === 'authorization'; });
+        if (crawl.auth && !hasAuth) {
+            headers.Authorization = crawl.auth;
+        }
+    }
+
+    var cookie = cookieHeader(crawl, href);
+    if (cookie) {
+        headers.Cookie = cookie;
+    }
+
+    return headers;
+}
+
+/**
+ * Fetch a url following redirects by hand, so cookies set along the way are kept
+ * and credentials are never forwarded to another origin
+ * @param {string} href - Url
+ * @param {object} cfg - Config
+ * @param {object} crawl - Crawl state
+ * @param {string} [method] - Http method, GET by default
+ * @returns {Promise<object>} - Final response, its url is the last hop
+ */
+async function fetchFollowing(href, cfg, crawl, method) {
+    var current = href;
+    var visited = Object.create(null);
+
+    for (var hops = 0; ; hops++) {
+        var res = await fetch(current, {
+            method: method || 'GET',
+            redirect: 'manual',
+            headers: requestHeaders(current, cfg, crawl),
+            timeout: requestTimeout(cfg)
+        });
+
+        storeCookies(crawl, current, res);
+
+        var location = res.headers.get('location');
+        if (!location || [301, 302, 303, 307, 308].indexOf(res.status) === -1) {
+            return res;
+        }
+
+        if (hops >= MAX_REDIRECTS) {
+            throw new Error('too many redirects ' + href);
+        }
+
+        visited[current] = true;
+        current = new URL(location, current).href;
+
+        if (visited[current]) {
+            throw new Error('redirect loop ' + href);
+        }
+    }
+}
+
+/**
+ * Record a url the crawler did not request, each url counts once under its latest reason
+ * @param {object} crawl - Crawl state
+ * @param {string} reason - Key of SKIP_REASONS
+ * @param {string} href - Url
+ * @returns {void}
+ */
+function countSkipped(crawl, reason, href) {
+    crawl.skipped[href] = reason;
+}
+
+/**
+ * Count skipped urls by reason
+ * @param {object} crawl - Crawl state
+ * @returns {object|null} - Counts by reason, null when nothing was skipped
+ */
+function skippedByReason(crawl) {
+    var out = null;
+
+    Object.keys(crawl.skipped).forEach(function (href) {
+        out = out || {};
+        out[crawl.skipped[href]] = (out[crawl.skipped[href]] || 0) + 1;
+    });
+
+    return out;
+}
+
+/**
+ * Per-request timeout
+ * @param {object} cfg - Config, requestTimeout in seconds (0 = none)
+ * @returns {number} - Timeout in ms, 0 for none
+ */
+function requestTimeout(cfg) {
+    var t = parseFloat(cfg && cfg.requestTimeout);
+    if (isNaN(t)) { t = DEFAULT_REQUEST_TIMEOUT; }
+    return Math.max(0, t) * 1000;
+}
+
+/**
+ * Parse robots.txt into the rules that apply to a user agent
+ * Picks the group with the longest user-agent token found in our user agent, else the * group
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Our user agent
+ * @returns {{rules:Array<{allow:boolean,path:string}>,crawlDelay:number,sitemaps:Array<string>}} - Rules
+ */
+function parseRobots(text, userAgent) {
+    var groups = [];
+    var sitemaps = [];
+    var group = null;
+    var inAgents = false;
+    var ua = String(userAgent || '').toLowerCase();
+
+    String(text || '').split(/\r\n|\r|\n/).forEach(function (line) {
+        var m = /^\s*([a-z-]+)\s*:\s*(.*?)\s*$/i.exec(line.replace(/#.*$/, ''));
+        if (!m) {
+            return;
+        }
+
+        var key = m[1].toLowerCase();
+        var value = m[2];
+
+        if (key === 'user-agent') {
+            /* consecutive user-agent lines share one group */
+            if (!group || !inAgents) {
+                group = { agents: [], rules: [], crawlDelay: 0 };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            inAgents = true;
+            return;
+        }
+
+        inAgents = false;
+
+        if (key === 'sitemap') {
+            sitemaps.push(value);
+        }
+        else if (group && (key === 'allow' || key === 'disallow') && value) {
+            group.rules.push({ allow: key === 'allow', path: value });
+        }
+        else if (group && key === 'crawl-delay') {
+            group.crawlDelay = parseFloat(value) || 0;
+        }
+    });
+
+    var best = '';
+    groups.forEach(function (g) {
+        g.agents.forEach(function (a) {
+            if (a !== '*' && ua.indexOf(a) !== -1 && a.length > best.length) {
+                best = a;
+            }
+        });
+    });
+
+    var picked = groups.filter(function (g) { return g.agents.indexOf(best || '*') !== -1; });
+
+    return {
+        rules: [].concat.apply([], picked.map(function (g) { return g.rules; })),
+        crawlDelay: Math.max.apply(null, [0].concat(picked.map(function (g) { return g.crawlDelay; }))),
+        sitemaps: sitemaps
+    };
+}
+
+/**
+ * Check a url against robots.txt rules: the longest matching rule wins, allow wins a tie
+ * @param {{rules:Array}} robots - Parsed rules
+ * @param {string} href - Absolute url
+ * @returns {boolean} - True if allowed
+ */
+function robotsAllows(robots, href) {
+    var target;
+    try {
+        var u = new URL(href);
+        target = u.pathname + u.search;
+    } catch (e) {
+        return true;
+    }
+
+    var match = null;
+
+    robots.rules.forEach(function (r) {
+        /* * matches anything, a trailing $ anchors the end */
+        var anchored = /\$$/.test(r.path);
+        var parts = (anchored ? r.path.slice(0, -1) : r.path).split('*').map(function (p) {
+            return p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        });
+        var re = new RegExp('^' + parts.join('.*') + (anchored ? '$' : ''));
+
+        if (re.test(target) && (!match || r.path.length > match.path.length || (r.path.length === match.path.length && r.allow))) {
+            match = r;
+        }
+    });
+
+    return !match || match.allow;
+}
+
+/**
+ * Fetch and parse robots.txt once per origin
+ * A missing or unreachable robots.txt allows everything
+ * @param {string} origin - Url origin
+ * @param {object} cfg - Config
+ * @param {object} crawl - Crawl state
+ * @returns {Promise<{rules:Array,crawlDelay:number,sitemaps:Array<string>}>} - Rules
+ */
+function getRobots(origin, cfg, crawl) {
+    if (!crawl.robots[origin]) {
+        var userAgent = (cfg && cfg.userAgent) ? cfg.userAgent : 'Mozilla/5.0 (node)';
+
+        crawl.robots[origin] = fetchFollowing(origin + '/robots.txt', cfg, crawl)
+        .then(function (res) { return res.ok ? res.text() : ''; })
+        .catch(function () { return ''; })
+        .then(function (text) { return parseRobots(text, userAgent); });
+    }
+
+    return crawl.robots[origin];
+}
+
+/**
+ * Wait for the next request slot of an origin
+ * Spacing is the largest of --delay, 1/--rps and the robots.txt Crawl-delay
+ * @param {string} origin - Url origin
+ * @param {object} cfg - Config
+ * @param {object} crawl - Crawl state
+ * @returns {Promise<void>} - Resolves when the request may start
+ */
+async function waitForSlot(origin, cfg, crawl) {
+    var delay = (parseFloat(cfg && cfg.delay) || 0) * 1000;
+    var rps = parseFloat(cfg && cfg.rps) || 0;
+
+    if (rps > 0) {
+        delay = Math.max(delay, 1000 / rps);
+    }
+
+    if (cfg && cfg.robots !== false) {
+        delay = Math.max(delay, (await getRobots(origin, cfg, crawl)).crawlDelay * 1000);
+    }
+
+    if (!delay) {
+        return;
+    }
+
+    /* reserve the slot before waiting so concurrent workers queue up behind each other */
+    var now = Date.now();
+    var at = Math.max(now, crawl.nextAt[origin] || 0);
+    crawl.nextAt[origin] = at + delay;
+
+    if (at > now) {
+        await new Promise(function (resolve) { setTimeout(resolve, at - now); });
+    }
+}
+
+/**
+ * How long to wait before retrying, honouring Retry-After
+ * @param {object|null} res - Failed response, null for network errors
+ * @param {number} attempt - Retry number, from 0
+ * @returns {number} - Milliseconds
+ */
+function retryDelay(res, attempt) {
+    var after = res && res.headers.get('retry-after');
+
+    if (after) {
+        var ms = /^\d+$/.test(after.trim()) ? parseInt(after, 10) * 1000 : (Date.parse(after) - Date.now());
+        if (!isNaN(ms)) {
+            return Math.min(Math.max(0, ms), MAX_RETRY_DELAY);
+        }
+    }
+
+    return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt), MAX_RETRY_DELAY);
+}
+
+/**
+ * Fetch a crawled url politely: rate limited per origin, with a timeout and retries on 429/503 and dropped connections
+ * The outcome is recorded in crawl.status for the link checker
+ * @param {string} href - Url
+ * @param {object} cfg - Config
+ * @param {object} [crawl] - Crawl state, a fresh one when omitted
+ * @param {string} [method] - Http method, GET by default
+ * @returns {Promise<object>} - Response, the last one if every retry was rate limited
+ */
+async function politeFetch(href, cfg, crawl, method) {
+    crawl = crawl || createCrawl(href, cfg);
+
+    var origin = new URL(href).origin;
+    var retries = parseInt(cfg && cfg.retries, 10);
+    if (isNaN(retries)) { retries = DEFAULT_RETRIES; }
+
+    for (var attempt = 0; ; attempt++) {
+        await waitForSlot(origin, cfg, crawl);
+
+        var res = null;
+        var error = null;
+
+        try {
+            res = await fetchFollowing(href, cfg, crawl, method);
+        } catch (e) {
+            error = e;
+        }
+
+        /* dns failures and refused connections will not fix themselves, dropped or slow ones might */
+        var transient = error ?
+            (RETRY_ERRORS.indexOf(error.code) !== -1 || RETRY_ERRORS.indexOf(error.type) !== -1) :
+            RETRY_STATUSES.indexOf(res.status) !== -1;
+
+        if (!transient || attempt >= retries) {
+            crawl.status[href] = error ? { status: 0, reason: linkFailure(error) } : { status: res.status, reason: '' };
+
+            if (error) {
+                throw (error.type === 'request-timeout') ? new Error('request timed out after ' + (requestTimeout(cfg) / 1000) + 's ' + href) : error;
+            }
+            return res;
+        }
+
+        await new Promise(function (resolve) { setTimeout(resolve, retryDelay(res, attempt)); });
+    }
+}
+
+/**
+ * Short reason for a failed request
+ * @param {Error} e - Fetch error
+ * @returns {string} - Reason
+ */
+function linkFailure(e) {
+    var code = e && (e.code || e.type);
+
+    if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') return 'DNS lookup failed';
+    if (code === 'request-timeout' || code === 'ETIMEDOUT') return 'timed out';
+    if (code === 'ECONNREFUSED') return 'connection refused';
+    if (code === 'ECONNRESET') return 'connection reset';
+
+    return String((e && e.message) || e).replace(/\s+https?:\/\/\S*$/, '');
+}
+
+/**
+ * Report every broken link as an error on the page that links to it
+ * So it fails that page in summary.failed and shows in every output format, not only the cli section
+ * @param {{passed:number,failed:number,results:Array,brokenLinks:Array}} summary - Crawl summary
+ * @returns {void}
+ */
+function addBrokenLinks(summary) {
+    var pages = {};
+
+    summary.results.forEach(function (res) {
+        pages[res.url] = res;
+    });
+
+    summary.brokenLinks.forEach(function (link) {
+        var page = pages[link.source];
+
+        if (!page) {
+            return;
+        }
+
+        page.errors.push(toIssue({ line: link.line, column: link.col, subType: 'broken-link' }, 'error', 'Broken link to "' + link.url + '" (' + link.reason + ')'));
+
+        if (page.ok) {
+            page.ok = false;
+            summary.passed--;
+            summary.failed++;
+        }
+    });
+}
+
+/**
+ * Check every linked url once and list the links that are broken
+ * Urls the crawl already fetched are not requested again, the rest get a HEAD (GET where HEAD is refused)
+ * @param {Array<{source:string,url:string,line:number,col:number}>} refs - Links with their referring page and position
+ * @param {object} cfg - Config
+ * @param {object} crawl - Crawl state
+ * @returns {Promise<Array<{url:string,status:number,reason:string,source:string,line:number,col:number}>>} - Broken links, one per referring element
+ */
+async function checkLinks(refs, cfg, crawl) {
+    var urls = [];
+    var seen = Object.create(null);
+
+    refs.forEach(function (ref) {
+        if (!seen[ref.url] && /^https?:/i.test(ref.url)) {
+            seen[ref.url] = true;
+            urls.push(ref.url);
+        }
+    });
+
+    var concurrency = parseInt(cfg.concurrency, 10);
+    if (isNaN(concurrency)) { concurrency = 4; }
+
+    await asyncPool(urls, concurrency, async function (u) {
+        if (crawl.status[u]) {
+            return;
+        }
+
+        if ((cfg.exclude || []).some(function (x) { return matchesUrl(u, x); })) {
+            return;
+        }
+
+        if (cfg.robots !== false && !robotsAllows(await getRobots(new URL(u).origin, cfg, crawl), u)) {
+            return;
+        }
+
+        try {
+            var res = await politeFetch(u, cfg, crawl, 'HEAD');
+
+            if (res.status === 405 || res.status === 501) {
+                res = await politeFetch(u, cfg, crawl);
+                res.body.resume();
+            }
+        } catch (e) { /* recorded in crawl.status */ }
+    });
+
+    var broken = [];
+
+    refs.forEach(function (ref) {
+        var st = crawl.status[ref.url];
+
+        if (st && (st.status === 0 || st.status >= 400)) {
+            broken.push({
+                url: ref.url,
+                status: st.status,
+                reason: st.reason || String(st.status),
+                source: ref.source,
+                line: ref.line,
+                col: ref.col
+            });
+        }
+    });
+
+    return broken;
+}
+
+/**
+ * Read the page urls listed in a sitemap, following sitemap indexes
+ * @param {string} href - Sitemap url, plain or gzipped xml
+ * @param {object} cfg - Config
+ * @param {object} crawl - Crawl state
+ * @param {object} seen - Sitemaps already read, guards against index loops
+ * @param {number} level - Index nesting so far
+ * @returns {Promise<Array<string>>} - Page urls
+ */
+async function readSitemap(href, cfg, crawl, seen, level) {
+    if (seen[href] || level > MAX_SITEMAP_NESTING) {
+        return [];
+    }
+    seen[href] = true;
+
+    var res = await politeFetch(href, cfg, crawl);
+    if (!res.ok) {
+        throw new Error('sitemap request failed ' + res.status + ' ' + href);
+    }
+
+    var body = await res.buffer();
+
+    /* .xml.gz files are served as-is, only Content-Encoding gzip is undone by fetch */
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+        body = zlib.gunzipSync(body);
+    }
+
+    var $ = cheerio.load(body.toString('utf8'), { xmlMode: true });
+    var pages = [];
+
+    var children = $('sitemapindex > sitemap > loc').map(function () { return $(this).text().trim(); }).get();
+    for (var i = 0; i < children.length; i++) {
+        var nested = toAbsUrl(children[i], href);
+        if (nested) {
+            pages = pages.concat(await readSitemap(nested, cfg, crawl, seen, level + 1));
+        }
+    }
+
+    $('urlset > url > loc').each(function () {
+        var page = toAbsUrl($(this).text().trim(), href);
+        if (page) {
+            pages.push(page);
+        }
+    });
+
+    return pages;
+}
+
+/**
+ * Collect the page urls of cfg.sitemap
+ * "auto" uses the Sitemap: lines of robots.txt, then /sitemap.xml, and finding none is not an error
+ * @param {string} startUrl - Crawl start url
+ * @param {object} cfg - Config, sitemap is a url (relative to the start url) or "auto"
+ * @param {object} crawl - Crawl state
+ * @returns {Promise<Array<string>>} - Page urls
+ */
+async function sitemapUrls(startUrl, cfg, crawl) {
+    var origin = new URL(startUrl).origin;
+    var seen = Object.create(null);
+    var pages = [];
+
+    if (cfg.sitemap !== 'auto') {
+        var href = toAbsUrl(cfg.sitemap, startUrl);
+        if (!href) {
+            throw new Error('invalid sitemap url ' + cfg.sitemap);
+        }
+        return readSitemap(href, cfg, crawl, seen, 0);
+    }
+
+    var listed = (await getRobots(origin, cfg, crawl)).sitemaps;
+    if (!listed.length) {
+        listed = [origin + '/sitemap.xml'];
+    }
+
+    for (var i = 0; i < listed.length; i++) {
+        try {
+            pages = pages.concat(await readSitemap(listed[i], cfg, crawl, seen, 0));
+        } catch (e) { /* auto discovery is best effort */ }
+    }
+
+    return pages;
+}
+
+/**
+ * Fetch html with redirect following
+ * @param {string} pageUrl - Url to fetch
+ * @param {object} cfg - Config
+ * @param {object} [crawl] - Crawl state for rate limiting
+ * @returns {Promise<{finalUrl:string,html:string,body:Buffer}>} - Html, raw bytes as served and final url
+ */
+async function fetchHtml(pageUrl, cfg, crawl) {
+    var res = await politeFetch(pageUrl, cfg, crawl);
+
+    if (!res.ok) {
+        throw new Error('request failed ' + res.status + ' ' + pageUrl);
+    }
+
+    // Only process HTML or XHTML
+    var contentType = res.headers.get('content-type') || '';
+    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+        return null;
+    }
+
+    var finalUrl = (res.url && String(res.url)) ? String(res.url) : pageUrl;
+    var body = await res.buffer();
+    var html = body.toString('utf8');
+
+    return { finalUrl: finalUrl, html: html, body: body };
+}
+
+/**
+ * Save html to temp and return file path
+ * Saves the bytes exactly as served so line:col match view-source, unless cfg.beautify asks for a prettified copy
+ * @param {string} dir - Temp dir
+ * @param {string} pageUrl - Page url
+ * @param {Buffer|string} body - Html content as served
+ * @param {object} [cfg] - Config
+ * @returns {Promise<string>} - Saved file path
+ */
+async function saveHtml(dir, pageUrl, body, cfg) {
+    var name = toSafeName(pageUrl);
+    var dest = path.join(dir, name);
+    var tmp = dest + '.part';
+
+    if (cfg && cfg.beautify) {
+        // Prettify HTML for readability, line numbers then point into this copy
+        var prettyHtml = beautify(String(body || ''), { indent_size: 2, wrap_line_length: 120 });
+        await fsp.writeFile(tmp, prettyHtml, 'utf8');
+    } else {
+        await fsp.writeFile(tmp, body || '');
+    }
+    try {
+        fs.renameSync(tmp, dest);
+    } catch (err) {
+        if (err && err.code === 'ENOENT') {
+            // File was not written, skip mapping and print clear message
+            console.error(chalk.red('      Failed to save HTML for: ') + pageUrl + chalk.dim(' (no file written)'));
+            return null;
+        } else {
+            throw err;
+        }
+    }
+
+    // Track mapping for clickable output
+    urlToFileMap[pageUrl] = dest;
+
+    return dest;
+}
+
+/**
+ * Extract links from html with the position of each referring element
+ * @param {string} html - Html content
+ * @param {string} baseUrl - Base url
+ * @returns {Array<{url:string,line:number,col:number}>} - Absolute links in document order, repeats included
+ */
+function extractLinkRefs(html, baseUrl) {
+    var src = String(html || '');
+    var $ = cheerio.load(src, { withStartIndices: true });
+    var out = [];
+
+    /* walk the source once, start indices only grow */
+    var line = 1;
+    var lineStart = 0;
+    var pos = 0;
+
+    $('a[href], area[href]').each(function () {
+        var abs = toAbsUrl($(this).attr('href'), baseUrl);
+
+        if (!abs) {
+            return;
+        }
+
+        var at = this.startIndex || 0;
+        for (; pos < at; pos++) {
+            if (src.charCodeAt(pos) === 10) {
+                line++;
+                lineStart = pos + 1;
+            }
+        }
+
+        out.push({ url: abs, line: line, col: at - lineStart + 1 });
+    });
+
+    return out;
+}
+
+/**
+ * Extract links from html
+ * @param {string} html - Html content
+ * @param {string} baseUrl - Base url
+ * @returns {Array<string>} - Absolute links
+ */
+function extractLinks(html, baseUrl) {
+    var out = [];
+    var seen = Object.create(null);
+
+    extractLinkRefs(html, baseUrl).forEach(function (ref) {
+        if (!Object.prototype.hasOwnProperty.call(seen, ref.url)) {
+            seen[ref.url] = true;
+            out.push(ref.url);
+        }
+    });
+
+    return out;
+}
+
+/**
+ * A tiny async pool
+ * @param {Array<any>} items - Items
+ * @param {number} concurrency - Max concurrent
+ * @param {function(any):Promise<any>} worker - Worker
+ * @returns {Promise<Array<any>>} - Results
+ */
+async function asyncPool(items, concurrency, worker) {
+    var results = [];
+    var i = 0;
+
+    if (!items || !items.length) {
+        return results;
+    }
+
+    concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+
+    var running = 0;
+    var done = 0;
+
+    return new Promise(function (resolve, reject) {
+
+        function next() {
+            while (running < concurrency && i < items.length) {
+                (function (idx) {
+                    running++;
+
+                    Promise.resolve()
+                        .then(function () { return worker(items[idx]); })
+                        .then(function (res) {
+                            results[idx] = res;
+                            running--;
+                            done++;
+                            if (done === items.length) {
+                                resolve(results);
+                                return;
+                            }
+                            next();
+                        })
+                        .catch(function (err) {
+                            reject(err);
+                        });
+
+                })(i);
+
+                i++;
+            }
+        }
+
+        next();
+    });
+}
+
+/**
+ * Validate a single page url
+ * @param {string} pageUrl - Url
+ * @param {object} cfg - Config
+ * @param {string} tmpDir - Temp dir
+ * @param {object} [crawl] - Crawl state
+ * @returns {Promise<{url:string,ok:boolean,errors:Array,warnings:Array,finalUrl:string,links:Array}>} - Result
+ */
+async function validateOneUrl(pageUrl, cfg, tmpDir, crawl) {
+
+    var fetched = await fetchHtml(pageUrl, cfg, crawl);
+    if (!fetched) {
+        // Not HTML, skip crawling and validation
+        return {
+            url: pageUrl,
+            finalUrl: pageUrl,
+            ok: true,
+            errors: [],
+            warnings: [],
+            info: [],
+            ignored: [],
+            links: []
+        };
+    }
+    var finalUrl = fetched.finalUrl;
+    var html = fetched.html;
+
+    var file = await saveHtml(tmpDir, finalUrl, fetched.body, cfg);
+    var proc = await runCached(file, cfg);
+
+    var pageCfg = cfgFor(finalUrl, cfg);
+    var issues = processIssues(proc, file, finalUrl, pageCfg);
+
+    var includeWarnings = !pageCfg.errorsOnly && pageCfg.warnings > 0;
+    var ok = (issues.errors.length === 0 && (!includeWarnings || issues.warnings.length === 0));
+
+    var links = extractLinks(html, finalUrl);
+    /* link positions point into the same copy as the other issues, the prettified one under --beautify */
+    var linkRefs;
+    if (cfg.checkLinks) {
+        linkRefs = extractLinkRefs((cfg.beautify && file) ? fs.readFileSync(file, 'utf8') : html, finalUrl);
+    }
+
+    // Map both the original and final URL to the saved copy
+    urlToFileMap[pageUrl] = file;
+    urlToFileMap[finalUrl] = file;
 
     return {
         url: pageUrl,
@@ -646,362 +3256,1669 @@ async function validateOneUrl(pageUrl, cfg, tmpDir) {
         ok: ok,
         errors: issues.errors,
         warnings: issues.warnings,
-        links: links
+        info: issues.info,
+        ignored: issues.ignored,
+        unusedSuppressions: issues.unusedSuppressions,
+        cached: !!proc.cached,
+        links: links,
+        linkRefs: linkRefs
+    };
+}
+
+/**
+ * Crawl and validate starting from a url
+ * @param {string} startUrl - Start url
+ * @param {object} cfg - Config
+ * @returns {Promise<{passed:number,failed:number,results:Array}>} - Summary
+ */
+async function validateUrl(startUrl, cfg) {
+    cfg = cfg || {};
+
+    await ensureValidator(cfg);
+
+    /* credentials in the url are used for basic auth but never printed or reported */
+    var split = splitUrlAuth(startUrl);
+    startUrl = split.href;
+
+    var origin = '';
+    try { origin = new URL(startUrl).origin; } catch (e) { }
+
+    var tmpDir = path.join(os.tmpdir(), 'w3c-validate-html', 'site-' + Date.now());
+    ensureDir(tmpDir);
+
+    var seen = Object.create(null);
+    var queue = [{ url: startUrl, depth: 0 }];
+    var queued = Object.create(null);
+    var crawl = createCrawl(startUrl, cfg, split.auth);
+    var caps = parseCaps(cfg.maxPerPattern);
+    var sitemapCount = 0;
+    var linkRefs = [];
+    var started = 0;
+
+    queued[startUrl] = true;
+
+    var results = [];
+    var passed = 0;
+    var failed = 0;
+
+    var maxDepth = parseInt(cfg.depth, 10);
+    if (isNaN(maxDepth)) { maxDepth = 2; }
+    maxDepth = Math.max(0, maxDepth);
+
+    var concurrency = parseInt(cfg.concurrency, 10);
+    if (isNaN(concurrency)) { concurrency = 4; }
+
+    var maxPages = Math.max(0, parseInt(cfg.maxPages, 10) || 0);
+
+    /* queue a url once, or record why it was left out */
+    function enqueue(href, depth) {
+        if (queued[href]) {
+            return false;
+        }
+
+        var reason = crawlSkipReason(href, cfg, origin);
+
+        if (reason) {
+            countSkipped(crawl, reason, href);
+            return false;
+        }
+
+        queued[href] = true;
+        delete crawl.skipped[href];
+        queue.push({ url: href, depth: depth });
+        return true;
+    }
+
+    if (!isQuiet(cfg)) {
+        var cyan = chalk.cyan;
+        var bold = chalk.bold;
+        console.log('');
+        console.log(bold(cyan('w3c validating html starting at ' + startUrl)));
+    }
+
+    /* sitemap pages are extra start points, links on them are followed to the same --depth */
+    if (cfg.sitemap) {
+        var listed = await sitemapUrls(startUrl, cfg, crawl);
+
+        for (var n = 0; n < listed.length; n++) {
+            if (enqueue(listed[n], 0)) {
+                sitemapCount++;
+            }
+        }
+
+        if (!isQuiet(cfg)) {
+            console.log(chalk.dim('  ' + sitemapCount + ' pages from sitemap'));
+        }
+    }
+
+    if (!isQuiet(cfg)) {
+        console.log('');
+    }
+
+    while (queue.length) {
+
+        var batch = [];
+        var remaining = [];
+
+        for (var i = 0; i < queue.length; i++) {
+            var job = queue[i];
+
+            if (batch.length >= concurrency) {
+                remaining.push(job);
+                continue;
+            }
+
+            /* the --target page was asked for explicitly, robots.txt only keeps the crawl off the links it finds */
+            if (cfg.robots !== false && job.url !== startUrl && !robotsAllows(await getRobots(new URL(job.url).origin, cfg, crawl), job.url)) {
+                countSkipped(crawl, 'robots', job.url);
+                continue;
+            }
+
+            /* caps count pages actually started, urls dropped by robots.txt never use them up */
+            var matching = caps.filter(function (c) { return matchesUrl(job.url, c.pattern); });
+            if (matching.some(function (c) { return c.count >= c.max; })) {
+                countSkipped(crawl, 'pattern-limit', job.url);
+                continue;
+            }
+
+            if (maxPages && started >= maxPages) {
+                countSkipped(crawl, 'max-pages', job.url);
+                continue;
+            }
+
+            matching.forEach(function (c) { c.count++; });
+            started++;
+            batch.push(job);
+        }
+
+        queue = remaining;
+
+        /* run a batch */
+        var batchResults = await asyncPool(batch, concurrency, async function (job) {
+
+            var u = job.url;
+            var d = job.depth;
+
+            if (Object.prototype.hasOwnProperty.call(seen, u)) {
+                return null;
+            }
+
+            seen[u] = true;
+
+            try {
+                var one = await validateOneUrl(u, cfg, tmpDir, crawl);
+                one.depth = d;
+                return one;
+            } catch (e) {
+                return {
+                    url: u,
+                    finalUrl: u,
+                    depth: d,
+                    ok: false,
+                    errors: [toolIssue(e)],
+                    warnings: [],
+                    info: [],
+                    ignored: [],
+                    links: []
+                };
+            }
+        });
+
+        for (var j = 0; j < batchResults.length; j++) {
+            var r = batchResults[j];
+
+            if (!r) {
+                continue;
+            }
+
+            var pageCfg = cfgFor(r.finalUrl, cfg);
+            var page = applyBaseline({
+                url: r.finalUrl,
+                ok: r.ok,
+                errors: r.errors,
+                warnings: r.warnings,
+                info: r.info || [],
+                ignored: r.ignored || [],
+                unusedSuppressions: r.unusedSuppressions || [],
+                cached: !!r.cached
+            }, pageCfg);
+
+            if (!isQuiet(cfg)) {
+                printPageResult(page, cfg);
+            }
+
+            results.push(page);
+
+            (r.linkRefs || []).forEach(function (ref) {
+                linkRefs.push({ source: r.finalUrl, url: ref.url, line: ref.line, col: ref.col });
+            });
+
+            if (page.ok) {
+                passed++;
+            } else {
+                failed++;
+            }
+
+            /* overrides may crawl some sections deeper or shallower, the others keep --depth */
+            var pageDepth = parseInt(pageCfg.depth, 10);
+            pageDepth = (pageCfg === cfg || isNaN(pageDepth)) ? maxDepth : Math.max(0, pageDepth);
+
+            for (var k = 0; k < r.links.length; k++) {
+                var nextUrl = r.links[k];
+
+                /* links beyond --depth only count as skipped if nothing else filters them */
+                if (r.depth >= pageDepth) {
+                    if (!queued[nextUrl] && !crawl.skipped[nextUrl]) {
+                        countSkipped(crawl, crawlSkipReason(nextUrl, cfg, origin) || 'depth', nextUrl);
+                    }
+                    continue;
+                }
+
+                enqueue(nextUrl, r.depth + 1);
+            }
+        }
+    }
+
+    if (!isQuiet(cfg)) {
+        console.log('');
+    }
+
+    var summary = { passed: passed, failed: failed, results: results };
+
+    if (cfg.checkLinks) {
+        if (!isQuiet(cfg)) {
+            console.log(chalk.dim('  checking ' + linkRefs.length + ' links'));
+            console.log('');
+        }
+        summary.brokenLinks = await checkLinks(linkRefs, cfg, crawl);
+        addBrokenLinks(summary);
+    }
+
+    var skipped = skippedByReason(crawl);
+    if (skipped) {
+        summary.skipped = skipped;
+    }
+
+    return summary;
+}
+
+/**
+ * Pick the vnu mode for a local document from its extension
+ * @param {string} file - File path
+ * @returns {string} - html, xhtml or svg
+ */
+function docMode(file) {
+    var ext = path.extname(String(file || '')).toLowerCase();
+
+    if (ext === '.xhtml' || ext === '.xht') return 'xhtml';
+    if (ext === '.svg') return 'svg';
+    return 'html';
+}
+
+/**
+ * Glob files below a folder
+ * @param {string} pattern - Glob relative to cwd
+ * @param {string} cwd - Folder
+ * @returns {Promise<string[]>} - Relative matches
+ */
+function globFiles(pattern, cwd) {
+    return new Promise(function (resolve, reject) {
+        glob(pattern, { cwd: cwd, nodir: true }, function (err, matches) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(matches);
+        });
+    });
+}
+
+/**
+ * Run a git command
+ * @param {Array<string>} args - Git arguments
+ * @param {string} cwd - Folder to run in
+ * @param {string} [input] - Text written to stdin
+ * @returns {Promise<{stdout:string,stderr:string,code:number}>} - Process output, code -1 when git is missing
+ */
+function runGit(args, cwd, input) {
+    return new Promise(function (resolve) {
+        var p = child.spawn('git', args, { cwd: cwd });
+        var out = '';
+        var err = '';
+
+        p.stdout.on('data', function (d) { out += String(d || ''); });
+        p.stderr.on('data', function (d) { err += String(d || ''); });
+        p.on('error', function (e) { resolve({ stdout: '', stderr: e.message, code: -1 }); });
+        p.on('close', function (code) { resolve({ stdout: out, stderr: err, code: code }); });
+
+        p.stdin.on('error', function () { /* git exited early */ });
+        p.stdin.end(input || '');
+    });
+}
+
+/**
+ * Ask git which files its ignore rules (.gitignore, info/exclude, global excludes) skip
+ * @param {string[]} files - Absolute file paths
+ * @param {string} dir - Folder inside the repository
+ * @returns {Promise<object>} - Set of ignored absolute paths, empty outside a repository or without git
+ */
+async function gitIgnored(files, dir) {
+    var ignored = Object.create(null);
+
+    if (!files.length) {
+        return ignored;
+    }
+
+    var res = await runGit(['check-ignore', '--stdin', '-z'], dir, files.join('\0') + '\0');
+
+    /* exit 0: some ignored, 1: none ignored, anything else: not a repo */
+    if (res.code === 0) {
+        res.stdout.split('\0').filter(Boolean).forEach(function (f) {
+            ignored[path.resolve(dir, f)] = true;
+        });
+    }
+
+    return ignored;
+}
+
+/**
+ * Find the merge base of HEAD and the main branch
+ * Tries the remote default branch, then main and master, local or on origin
+ * @param {string} dir - Folder inside the repository
+ * @returns {Promise<string>} - Commit
+ */
+async function gitDefaultBase(dir) {
+    var candidates = [];
+    var head = await runGit(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD'], dir);
+
+    if (head.code === 0 && head.stdout.trim()) {
+        candidates.push(head.stdout.trim());
+    }
+    candidates.push('main', 'origin/main', 'master', 'origin/master');
+
+    for (var i = 0; i < candidates.length; i++) {
+        var res = await runGit(['merge-base', 'HEAD', candidates[i]], dir);
+        if (res.code === 0 && res.stdout.trim()) {
+            return res.stdout.trim();
+        }
+    }
+
+    throw new Error('--changed could not find a main or master branch, pass a ref e.g. --changed origin/develop');
+}
+
+/**
+ * List files added, modified, renamed or copied since a ref, including uncommitted and untracked files
+ * @param {string} dir - Folder inside the repository
+ * @param {string|boolean} ref - Git ref, or true/'' for the merge base with the main branch
+ * @returns {Promise<object>} - Set of changed real absolute paths
+ */
+async function gitChangedFiles(dir, ref) {
+    var root = await runGit(['rev-parse', '--show-toplevel'], dir);
+
+    if (root.code !== 0) {
+        throw new Error('--changed needs a git repository: ' + (root.stderr.trim() || 'git not found'));
+    }
+
+    var top = root.stdout.trim();
+    var base = (typeof ref === 'string' && ref) ? ref : await gitDefaultBase(dir);
+
+    /* renamed and copied files are listed under their new name, they count as changed like additions */
+    var diff = await runGit(['diff', '--name-only', '-z', '--diff-filter=AMRC', base, '--'], top);
+    if (diff.code !== 0) {
+        throw new Error('--changed could not diff against ' + base + ': ' + diff.stderr.trim());
+    }
+
+    var untracked = await runGit(['ls-files', '--others', '--exclude-standard', '-z'], top);
+
+    var changed = Object.create(null);
+    (diff.stdout + '\0' + untracked.stdout).split('\0').filter(Boolean).forEach(function (f) {
+        changed[realPath(path.join(top, f))] = true;
+    });
+
+    return changed;
+}
+
+/**
+ * Resolve symlinks in a path when it exists
+ * @param {string} file - Path
+ * @returns {string} - Real path, or the resolved path if it does not exist
+ */
+function realPath(file) {
+    try {
+        return fs.realpathSync(file);
+    } catch (e) {
+        return path.resolve(file);
+    }
+}
+
+/**
+ * Expand a path to html, xhtml and svg files
+ * A named file is always used; folders honour cfg.includeFiles, cfg.excludeFiles and .gitignore
+ * @param {string} target - File or folder
+ * @param {object} [cfg] - Config
+ * @returns {Promise<string[]>} - Absolute file paths
+ */
+async function expandFiles(target, cfg) {
+    cfg = cfg || {};
+
+    var abs = path.resolve(target);
+
+    var st;
+    try {
+        st = await fsp.stat(abs);
+    } catch (e) {
+        var msg = (e && e.code === 'ENOENT') ? ('path not found ' + target) : (e && e.message ? e.message : String(e));
+        throw new Error(msg);
+    }
+
+    if (st.isFile()) {
+        if (!DOC_EXTENSIONS.test(abs)) {
+            throw new Error('not an html, xhtml or svg file ' + target);
+        }
+        return [abs];
+    }
+
+    /* globs can contain commas ({html,htm}) so they are not split like other lists */
+    var include = [].concat(cfg.includeFiles || []).filter(Boolean);
+    var exclude = [].concat(cfg.excludeFiles || []).filter(Boolean);
+    var seen = Object.create(null);
+    var rel = [];
+
+    if (!include.length) {
+        include = DEFAULT_INCLUDE_FILES;
+    }
+
+    for (var i = 0; i < include.length; i++) {
+        var matches = await globFiles(include[i], abs);
+        for (var j = 0; j < matches.length; j++) {
+            if (!seen[matches[j]]) {
+                seen[matches[j]] = true;
+                rel.push(matches[j]);
+            }
+        }
+    }
+
+    rel = rel.filter(function (f) {
+        return DOC_EXTENSIONS.test(f) && !exclude.some(function (pattern) { return matchesPattern(f, pattern); });
+    });
+
+    var out = rel.map(function (f) { return path.join(abs, f); });
+
+    if (cfg.gitignore !== false) {
+        var ignored = await gitIgnored(out, abs);
+        out = out.filter(function (f) { return !ignored[f]; });
+    }
+
+    out.sort();
+    return out;
+}
+
+/**
+ * Validate local html files
+ * @param {string} target - File or folder
+ * @param {object} cfg - Config
+ * @returns {Promise<{passed:number,failed:number,results:Array}>} - Summary
+ */
+async function validateFiles(target, cfg) {
+    cfg = cfg || {};
+
+    await ensureValidator(cfg);
+
+    var files = await expandFiles(target, cfg);
+    var unchanged = 0;
+
+    if (cfg.changed !== undefined && cfg.changed !== null && cfg.changed !== false) {
+        var abs = path.resolve(target);
+        var changed = await gitChangedFiles(fs.statSync(abs).isDirectory() ? abs : path.dirname(abs), cfg.changed);
+        var all = files.length;
+
+        files = files.filter(function (f) { return changed[realPath(f)]; });
+        unchanged = all - files.length;
+    }
+
+    if (!isQuiet(cfg)) {
+        var cyan = chalk.cyan;
+        var bold = chalk.bold;
+        console.log('');
+        console.log(bold(cyan('w3c validating ' + files.length + ' HTML files in ' + target)) + (unchanged ? chalk.dim(' (' + unchanged + ' unchanged skipped)') : ''));
+        console.log('');
+    }
+
+    var summary = await validateFileList(files, cfg);
+
+    if (unchanged) {
+        summary.unchanged = unchanged;
+    }
+
+    return summary;
+}
+
+/**
+ * Validate a single local html file
+ * Tool errors (e.g. a timeout) fail the file rather than the run
+ * @param {string} file - Absolute file path
+ * @param {object} cfg - Config
+ * @returns {Promise<object>} - Page result
+ */
+async function validateOneFile(file, cfg) {
+
+    var pageCfg = cfgFor(file, cfg);
+    var proc = {};
+    var issues;
+
+    try {
+        proc = await runCached(file, pageCfg);
+        issues = processIssues(proc, file, file, pageCfg);
+    } catch (e) {
+        issues = {
+            errors: [toolIssue(e)],
+            warnings: [],
+            info: [],
+            ignored: []
+        };
+    }
+
+    var includeWarnings = !pageCfg.errorsOnly && pageCfg.warnings > 0;
+    var ok = (issues.errors.length === 0 && (!includeWarnings || issues.warnings.length === 0));
+
+    return applyBaseline({
+        url: path.relative(process.cwd(), file) || file,
+        ok: ok,
+        errors: issues.errors,
+        warnings: issues.warnings,
+        info: issues.info,
+        ignored: issues.ignored,
+        unusedSuppressions: issues.unusedSuppressions || [],
+        cached: !!proc.cached
+    }, pageCfg);
+}
+
+/**
+ * Validate a list of local html files, printing results in list order
+ * @param {string[]} files - Absolute file paths
+ * @param {object} cfg - Config
+ * @returns {Promise<{passed:number,failed:number,results:Array}>} - Summary
+ */
+async function validateFileList(files, cfg) {
+
+    var concurrency = parseInt(cfg.concurrency, 10);
+    if (isNaN(concurrency)) { concurrency = 4; }
+
+    var results = [];
+    var passed = 0;
+    var failed = 0;
+    var printed = 0;
+
+    var indexes = files.map(function (f, idx) { return idx; });
+
+    await asyncPool(indexes, concurrency, async function (idx) {
+
+        results[idx] = await validateOneFile(files[idx], cfg);
+
+        /* print in file order as soon as every earlier file has finished */
+        while (printed < files.length && results[printed]) {
+            if (!isQuiet(cfg)) {
+                printPageResult(results[printed], cfg);
+            }
+            printed++;
+        }
+    });
+
+    for (var i = 0; i < results.length; i++) {
+        if (results[i].ok) {
+            passed++;
+        } else {
+            failed++;
+        }
+    }
+
+    if (!isQuiet(cfg)) {
+        console.log('');
+    }
+
+    return { passed: passed, failed: failed, results: results };
+}
+
+/**
+ * Watch a local file or folder, revalidating html files as they change
+ * Polls so it behaves the same on every platform and network drive; one vnu service is kept for the whole session
+ * @param {string} target - File or folder
+ * @param {object} cfg - Config
+ * @returns {Promise<{summary:function,stop:function}>} - Resolves after the first pass, summary() is the latest state and stop() ends watching
+ */
+async function watchFiles(target, cfg) {
+
+    cfg = prepareRun(cfg);
+
+    if (cfg.cache !== false) {
+        await pruneResultsCache();
+    }
+
+    await ensureValidator(cfg);
+
+    /* hold a run open so the validator service survives between passes */
+    ACTIVE_RUNS++;
+
+    var state = {}; // file => { stamp, result }
+    var timer = null;
+    var stopped = false;
+    var first = true;
+
+    async function scan() {
+        var files;
+
+        try {
+            files = await expandFiles(target, cfg);
+        } catch (e) {
+            /* the watched file itself was deleted, anything else is a real problem */
+            if (fs.existsSync(path.resolve(target))) throw e;
+            files = [];
+        }
+
+        var seen = {};
+        var changed = [];
+        var stamps = {};
+
+        for (var i = 0; i < files.length; i++) {
+            var st;
+            try { st = await fsp.stat(files[i]); }
+            catch (e) { continue; }
+
+            var stamp = st.mtimeMs + ':' + st.size;
+            seen[files[i]] = true;
+
+            if (!state[files[i]] || state[files[i]].stamp !== stamp) {
+                changed.push(files[i]);
+                stamps[files[i]] = stamp;
+            }
+        }
+
+        var removed = Object.keys(state).filter(function (f) { return !seen[f]; });
+
+        if (!changed.length && !removed.length) {
+            return;
+        }
+
+        console.log('');
+        removed.forEach(function (f) {
+            delete state[f];
+            console.log(chalk.dim('removed ' + (path.relative(process.cwd(), f) || f)));
+        });
+
+        if (changed.length) {
+            console.log(chalk.bold(chalk.cyan('w3c validating ' + changed.length + (first ? '' : ' changed') + ' HTML files in ' + target)));
+            console.log('');
+
+            /* the stamp is taken before validating so edits made meanwhile are picked up next pass */
+            var summary = await validateFileList(changed, cfg);
+            changed.forEach(function (f, idx) {
+                state[f] = { stamp: stamps[f], result: summary.results[idx] };
+            });
+        }
+
+        printWatchSummary(state, target);
+        first = false;
+    }
+
+    async function tick() {
+        try {
+            await scan();
+        } catch (e) {
+            console.error(chalk.red('error') + ' ' + (e && e.message ? e.message : String(e)));
+        }
+        if (!stopped) {
+            timer = setTimeout(tick, WATCH_INTERVAL);
+        }
+    }
+
+    /* the last run out stops the service, like validate() */
+    async function release() {
+        ACTIVE_RUNS--;
+        if (ACTIVE_RUNS === 0) {
+            await stopServers();
+        }
+    }
+
+    function current() {
+        var files = Object.keys(state).sort();
+        var failed = files.filter(function (f) { return !state[f].result.ok; });
+        return { passed: files.length - failed.length, failed: failed.length, results: files.map(function (f) { return state[f].result; }) };
+    }
+
+    try {
+        await scan();
+    } catch (e) {
+        await release();
+        throw e;
+    }
+
+    timer = setTimeout(tick, WATCH_INTERVAL);
+
+    return {
+        summary: current,
+        stop: async function () {
+            if (!stopped) {
+                stopped = true;
+                clearTimeout(timer);
+                await release();
+            }
+            return current();
+        }
+    };
+}
+
+/**
+ * Print the live state of every watched file
+ * @param {object} state - file => { stamp, result }
+ * @param {string} target - Watched file or folder
+ * @returns {void}
+ */
+function printWatchSummary(state, target) {
+    var files = Object.keys(state).sort();
+    var failing = files.filter(function (f) { return !state[f].result.ok; });
+
+    console.log(chalk.bold('Watching ' + target + ': ') +
+        (failing.length ? chalk.red(failing.length + ' failing') : chalk.green('all passing')) +
+        ', ' + (files.length - failing.length) + ' of ' + files.length + ' pages passed');
+
+    failing.forEach(function (f) {
+        var res = state[f].result;
+        console.log(chalk.dim('  - ' + res.url + ' (' + res.errors.length + ' errors, ' + res.warnings.length + ' warnings)'));
+    });
+
+    console.log(chalk.dim('Waiting for changes, ctrl+c to stop'));
+}
+
+/**
+ * Check if a string is raw html
+ * @param {string} str - input string
+ * @returns {boolean} - true if input looks like html
+ */
+function isHtml(str) {
+
+    if (typeof str !== 'string') return false;
+
+    var s = str.trim();
+
+    if (!s) return false;
+
+    // Must start with '<' (allow whitespace before)
+    if (s[0] !== '<') return false;
+
+    // Accept: doctype, comment, or any tag (e.g. <html>, <div>, <svg>, <x-foo>, etc)
+    return (
+        /^<(!doctype\b|!--|[a-z][\w:-]*\b)/i.test(s)
+    );
+}
+
+/**
+ * Check if a string is a http or https url
+ * @param {string} str - input string
+ * @returns {boolean} - true if url
+ */
+function isUrl(str) {
+    var s = String(str || '').replace(/^\s+|\s+$/g, '');
+    var u;
+
+    if (!/^https?:\/\//i.test(s)) {
+        return false;
+    }
+
+    u = url.parse(s);
+    return !!(u && (u.protocol === 'http:' || u.protocol === 'https:') && u.hostname);
+}
+
+/**
+ * Check if a string looks like a file or folder path on any os
+ * @param {string} str - input string
+ * @returns {boolean} - true if file path
+ */
+function isFilePath(str) {
+    var s = String(str || '').replace(/^\s+|\s+$/g, '');
+
+    if (!s || isUrl(s) || isHtml(s)) {
+        return false;
+    }
+
+    // abs or explicit relative (posix, windows, unc, tilde)
+    if (/^(?:[a-zA-Z]:[\\/]|\\\\|\/|~[\\/]|\.{1,2}[\\/])/.test(s)) {
+        return true;
+    }
+
+    // contains a separator and not just separators
+    return /[\\/]/.test(s) && /[^\s\\/]/.test(s);
+}
+
+
+/**
+ * Validate a raw HTML string using vnu.jar
+ * @param {string} src - The HTML string to validate
+ * @param {object} [cfg] - Optional config
+ * @returns {Promise<{passed: number, failed: number, results: Array}>} - Validation summary
+ */
+async function validateHtmlString(src, cfg) {
+
+    await ensureValidator(cfg);
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-html-str-'));
+    const tmpFile = path.join(tmpDir, 'input.html');
+    await fsp.writeFile(tmpFile, src, 'utf8');
+    const proc = await runDocument(tmpFile, cfg);
+    const issues = processIssues(proc, tmpFile, tmpFile, cfg);
+    const includeWarnings = !cfg.errorsOnly && cfg.warnings > 0;
+    const ok = (issues.errors.length === 0 && (!includeWarnings || issues.warnings.length === 0));
+
+    try {
+        fs.unlinkSync(tmpFile);
+        fs.rmdirSync(tmpDir);
+    }
+    catch (e) { }
+
+    const result = applyBaseline({
+        ok,
+        errors: issues.errors,
+        warnings: issues.warnings,
+        info: issues.info,
+        ignored: issues.ignored,
+        unusedSuppressions: issues.unusedSuppressions
+    }, cfg);
+
+    return {
+        passed: result.ok ? 1 : 0,
+        failed: result.ok ? 0 : 1,
+        results: [result]
     };
 }
 
 /**
- * Crawl and validate starting from a url
- * @param {string} startUrl - Start url
- * @param {object} cfg - Config
- * @returns {Promise<{passed:number,failed:number,results:Array}>} - Summary
+ * Find the git repository root above a folder
+ * @param {string} dir - Start folder
+ * @returns {string} - Repo root, or dir itself outside a repo
  */
-async function validateUrl(startUrl, cfg) {
-    cfg = cfg || {};
+function findRepoRoot(dir) {
+    var cur = path.resolve(dir);
 
-    if (!(await hasJava())) {
-        throw new Error('java not found');
+    while (true) {
+        if (fs.existsSync(path.join(cur, '.git'))) {
+            return cur;
+        }
+
+        var parent = path.dirname(cur);
+        if (parent === cur) {
+            return path.resolve(dir);
+        }
+        cur = parent;
     }
+}
+
+/**
+ * Derive a stable rule id from a validator message by dropping quoted values
+ * @param {string} msg - Validator message
+ * @returns {{id:string,text:string}} - Rule id and generic description
+ */
+function toRule(msg) {
+    var text = String(msg || '').replace(/"[^"]*"/g, '"…"').replace(/\s+/g, ' ').trim();
+    var id = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'validator';
+
+    return { id: 'html/' + id, text: text };
+}
 
-    if (!CURRENT_JAR_PATH) {
-        CURRENT_JAR_PATH = await resolveJarPath();
+/**
+ * Build a SARIF physical location for an issue
+ * @param {string} where - Result url or file path relative to cwd
+ * @param {object} issue - Issue
+ * @param {string} root - Repo root for local files
+ * @returns {object|null} - SARIF location or null if the page is unknown
+ */
+function toSarifLocation(where, issue, root) {
+    if (!where) {
+        return null;
     }
 
-    var origin = '';
-    try { origin = new URL(startUrl).origin; } catch (e) { }
+    var artifact;
 
-    var tmpDir = path.join(os.tmpdir(), 'w3c-validate-html', 'site-' + Date.now());
-    ensureDir(tmpDir);
+    if (isUrl(where)) {
+        artifact = { uri: where };
+    } else {
+        var rel = path.relative(root, path.resolve(where)).split(path.sep).join('/');
+        artifact = { uri: encodeURI(rel), uriBaseId: '%SRCROOT%' };
+    }
 
-    var seen = Object.create(null);
-    var queue = [{ url: startUrl, depth: 0 }];
+    var location = { physicalLocation: { artifactLocation: artifact } };
+
+    if (issue.line > 0) {
+        var region = {
+            startLine: issue.firstLine || issue.line,
+            startColumn: issue.firstColumn || issue.col || 1,
+            endLine: issue.lastLine || issue.line,
+            endColumn: (issue.lastColumn || issue.col || 1) + 1
+        };
+
+        if (issue.extract) {
+            region.snippet = { text: issue.extract };
+        }
+
+        location.physicalLocation.region = region;
+    }
+
+    return location;
+}
 
+/**
+ * Convert a validation summary to SARIF 2.1.0
+ * @param {{results:Array,vnuVersion:string}} summary - Validation summary
+ * @returns {object} - SARIF log
+ */
+function toSarif(summary) {
+    var root = findRepoRoot(process.cwd());
+    var rules = [];
+    var ruleIndex = {};
     var results = [];
-    var passed = 0;
-    var failed = 0;
+    var levels = { error: 'error', warning: 'warning', info: 'note' };
 
-    var maxDepth = parseInt(cfg.depth, 10);
-    if (isNaN(maxDepth)) { maxDepth = 2; }
-    maxDepth = Math.max(0, maxDepth);
+    function add(res, issue, type, suppressed) {
+        var rule = toRule(issue.msg);
 
-    var concurrency = parseInt(cfg.concurrency, 10);
-    if (isNaN(concurrency)) { concurrency = 4; }
+        if (!Object.prototype.hasOwnProperty.call(ruleIndex, rule.id)) {
+            ruleIndex[rule.id] = rules.length;
+            rules.push({ id: rule.id, shortDescription: { text: rule.text } });
+        }
 
-    if (!cfg.json) {
-        var cyan = chalk.cyan;
-        var bold = chalk.bold;
-        console.log('');
-        console.log(bold(cyan('w3c validating html starting at ' + startUrl)));
-        console.log('');
+        var out = {
+            ruleId: rule.id,
+            ruleIndex: ruleIndex[rule.id],
+            level: levels[type] || 'error',
+            message: { text: issue.msg }
+        };
+
+        var location = toSarifLocation(res.url, issue, root);
+        if (location) {
+            out.locations = [location];
+        }
+
+        if (suppressed) {
+            out.suppressions = [{ kind: 'external', justification: 'ignore rule ' + issue.rule }];
+        }
+
+        results.push(out);
     }
 
-    while (queue.length) {
+    var list = (summary && summary.results) || [];
 
-        var batch = [];
-        var remaining = [];
+    for (var i = 0; i < list.length; i++) {
+        var res = list[i];
+        var j;
 
-        for (var i = 0; i < queue.length; i++) {
-            if (batch.length < concurrency) {
-                batch.push(queue[i]);
-            } else {
-                remaining.push(queue[i]);
-            }
+        for (j = 0; j < (res.errors || []).length; j++) { add(res, res.errors[j], 'error'); }
+        for (j = 0; j < (res.warnings || []).length; j++) { add(res, res.warnings[j], 'warning'); }
+        for (j = 0; j < (res.info || []).length; j++) { add(res, res.info[j], 'info'); }
+        for (j = 0; j < (res.ignored || []).length; j++) { add(res, res.ignored[j], res.ignored[j].type, true); }
+    }
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: pkg.name,
+                    version: pkg.version,
+                    informationUri: pkg.homepage,
+                    rules: rules,
+                    properties: { vnuVersion: (summary && summary.vnuVersion) || '' }
+                }
+            },
+            originalUriBaseIds: {
+                '%SRCROOT%': { uri: url.pathToFileURL(root).href + '/' }
+            },
+            results: results
+        }]
+    };
+}
+
+/**
+ * Escape text for xml attributes and content
+ * @param {string} s - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(s) {
+    return String(s == null ? '' : s)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format issues as "msg where:line:col" lines
+ * @param {string} where - Page url or file
+ * @param {Array} list - Issues
+ * @returns {string} - One line per issue
+ */
+function issueLines(where, list) {
+    return (list || []).map(function (e) {
+        return e.msg + ' ' + where + ':' + (e.line || 0) + (e.col ? ':' + e.col : '');
+    }).join('\n');
+}
+
+/**
+ * Convert a validation summary to JUnit XML, one testcase per page or file
+ * @param {{passed:number,failed:number,results:Array}} summary - Validation summary
+ * @param {number} seconds - Run duration
+ * @returns {string} - JUnit XML
+ */
+function toJunit(summary, seconds) {
+    var list = (summary && summary.results) || [];
+    var name = escapeXml(pkg.name);
+    var time = (seconds || 0).toFixed(3);
+    var out = [];
+
+    out.push('<?xml version="1.0" encoding="UTF-8"?>');
+    out.push('<testsuites name="' + name + '" tests="' + list.length + '" failures="' + summary.failed + '" time="' + time + '">');
+    out.push('  <testsuite name="' + name + '" tests="' + list.length + '" failures="' + summary.failed + '" errors="0" skipped="0" time="' + time + '" timestamp="' + new Date().toISOString() + '">');
+
+    for (var i = 0; i < list.length; i++) {
+        var res = list[i];
+        var where = res.url || 'input.html';
+
+        out.push('    <testcase classname="' + name + '" name="' + escapeXml(where) + '"' + (isUrl(where) ? '' : ' file="' + escapeXml(where) + '"') + ' time="0">');
+
+        if (!res.ok) {
+            var counts = res.errors.length + ' errors, ' + res.warnings.length + ' warnings';
+            var body = issueLines(where, sortByPosition(res.errors.concat(res.warnings)));
+            out.push('      <failure message="' + escapeXml(counts) + '" type="html">' + escapeXml(body) + '</failure>');
+        }
+        else if ((res.warnings || []).length) {
+            out.push('      <system-out>' + escapeXml(issueLines(where, sortByPosition(res.warnings))) + '</system-out>');
         }
 
-        queue = remaining;
+        out.push('    </testcase>');
+    }
 
-        /* run a batch */
-        var batchResults = await asyncPool(batch, concurrency, async function (job) {
+    out.push('  </testsuite>');
+    out.push('</testsuites>');
 
-            var u = job.url;
-            var d = job.depth;
+    return out.join('\n') + '\n';
+}
 
-            if (Object.prototype.hasOwnProperty.call(seen, u)) {
-                return null;
-            }
+/**
+ * Escape a github workflow command value
+ * @param {string} s - Raw text
+ * @param {boolean} [prop] - True for a property value (also escapes : and ,)
+ * @returns {string} - Escaped text
+ */
+function escapeGithub(s, prop) {
+    var out = String(s == null ? '' : s).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    return prop ? out.replace(/:/g, '%3A').replace(/,/g, '%2C') : out;
+}
 
-            seen[u] = true;
+/**
+ * Convert a validation summary to github workflow command annotations
+ * Local files are annotated inline on the diff, crawled urls show in the run annotations
+ * @param {{results:Array}} summary - Validation summary
+ * @returns {string} - One ::error / ::warning command per line
+ */
+function toGithubAnnotations(summary) {
+    var root = process.env.GITHUB_WORKSPACE || findRepoRoot(process.cwd());
+    var list = (summary && summary.results) || [];
+    var out = [];
 
-            try {
-                var one = await validateOneUrl(u, cfg, tmpDir);
-                one.depth = d;
-                return one;
-            } catch (e) {
-                return {
-                    url: u,
-                    finalUrl: u,
-                    depth: d,
-                    ok: false,
-                    errors: [{ line: 0, col: 0, msg: (e && e.message) ? e.message : String(e) }],
-                    warnings: [],
-                    links: []
-                };
-            }
-        });
+    function add(res, issue, level) {
+        var where = res.url || 'input.html';
+        var props = [];
+        var msg = issue.msg;
 
-        for (var j = 0; j < batchResults.length; j++) {
-            var r = batchResults[j];
+        if (isUrl(where)) {
+            msg += ' (' + where + ':' + (issue.line || 0) + (issue.col ? ':' + issue.col : '') + ')';
+            props.push('title=' + escapeGithub(where, true));
+        } else {
+            props.push('file=' + escapeGithub(path.relative(root, path.resolve(where)).split(path.sep).join('/'), true));
 
-            if (!r) {
-                continue;
-            }
+            if (issue.line > 0) {
+                props.push('line=' + (issue.firstLine || issue.line));
+                props.push('endLine=' + (issue.lastLine || issue.line));
 
-            if (!cfg.json) {
-                printPageResult({ url: r.finalUrl, ok: r.ok, errors: r.errors, warnings: r.warnings }, cfg);
+                // columns only make sense on a single line range
+                if ((issue.firstLine || issue.line) === (issue.lastLine || issue.line)) {
+                    props.push('col=' + (issue.firstColumn || issue.col || 1));
+                    props.push('endColumn=' + (issue.lastColumn || issue.col || 1));
+                }
             }
+        }
 
-            results.push({
-                url: r.finalUrl,
-                ok: r.ok,
-                errors: r.errors,
-                warnings: r.warnings
-            });
+        out.push('::' + level + ' ' + props.join(',') + '::' + escapeGithub(msg));
+    }
 
-            if (r.ok) {
-                passed++;
-            } else {
-                failed++;
-            }
+    for (var i = 0; i < list.length; i++) {
+        var res = list[i];
+        var j;
 
-            if (r.depth >= maxDepth) {
-                continue;
-            }
+        var errors = sortByPosition(res.errors);
+        var warnings = sortByPosition(res.warnings);
 
-            for (var k = 0; k < r.links.length; k++) {
-                var nextUrl = r.links[k];
+        for (j = 0; j < errors.length; j++) { add(res, errors[j], 'error'); }
+        for (j = 0; j < warnings.length; j++) { add(res, warnings[j], res.ok ? 'notice' : 'warning'); }
+    }
 
-                if (!isCrawlable(nextUrl, cfg, origin)) {
-                    continue;
-                }
+    return out.length ? out.join('\n') + '\n' : '';
+}
 
-                if (Object.prototype.hasOwnProperty.call(seen, nextUrl)) {
-                    continue;
-                }
+/**
+ * Escape text for a markdown table cell
+ * @param {string} s - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(s) {
+    return String(s == null ? '' : s).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ').replace(/</g, '&lt;');
+}
+
+/**
+ * Convert a validation summary to a markdown job summary
+ * @param {{passed:number,failed:number,results:Array,vnuVersion:string}} summary - Validation summary
+ * @returns {string} - Markdown
+ */
+function toMarkdownSummary(summary) {
+    var list = (summary && summary.results) || [];
+    var errors = 0;
+    var warnings = 0;
+    var out = [];
+    var i;
+
+    for (i = 0; i < list.length; i++) {
+        errors += list[i].errors.length;
+        warnings += list[i].warnings.length;
+    }
+
+    out.push('## HTML validation');
+    out.push('');
+    out.push((summary.failed === 0 ? '👊 Passed' : '❌ Failed') + ': ' + summary.passed + ' of ' + list.length + ' pages passed, ' +
+        errors + ' errors, ' + warnings + ' warnings' + (summary.ignored ? ', ' + summary.ignored + ' ignored' : '') +
+        (summary.vnuVersion ? ' (vnu ' + escapeMarkdown(summary.vnuVersion) + ')' : ''));
+    out.push('');
+    out.push('| Page | Result | Errors | Warnings |');
+    out.push('|:-----|:------:|-------:|---------:|');
+
+    for (i = 0; i < list.length; i++) {
+        var res = list[i];
+        var where = res.url || 'input.html';
+        var page = isUrl(where) ? '[' + escapeMarkdown(where) + '](' + encodeURI(where).replace(/\)/g, '%29') + ')' : '`' + escapeMarkdown(where) + '`';
+
+        out.push('| ' + page + ' | ' + (res.ok ? '✔' : '✖') + ' | ' + res.errors.length + ' | ' + res.warnings.length + ' |');
+    }
+
+    for (i = 0; i < list.length; i++) {
+        if (list[i].ok) {
+            continue;
+        }
+
+        var issues = sortByPosition(list[i].errors.concat(list[i].warnings));
+
+        out.push('');
+        out.push('<details><summary>' + escapeMarkdown(list[i].url || 'input.html') + '</summary>');
+        out.push('');
+
+        for (var j = 0; j < issues.length; j++) {
+            out.push('- `' + (issues[j].line || 0) + ':' + (issues[j].col || 0) + '` ' + (issues[j].type || 'error') + ': ' + escapeMarkdown(issues[j].msg));
+        }
+
+        out.push('');
+        out.push('</details>');
+    }
+
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Render a vnu extract with the offending part highlighted
+ * @param {object} issue - Issue with extract, hiliteStart and hiliteLength
+ * @returns {string} - Html or empty if there is no extract
+ */
+function extractHtml(issue) {
+    if (typeof issue.extract !== 'string') {
+        return '';
+    }
+
+    var s = issue.extract;
+    var a = Math.max(0, issue.hiliteStart || 0);
+    var b = Math.min(s.length, a + Math.max(0, issue.hiliteLength || 0));
+
+    return '<pre class="extract">' + escapeXml(s.slice(0, a)) + '<mark>' + escapeXml(s.slice(a, b)) + '</mark>' + escapeXml(s.slice(b)) + '</pre>';
+}
 
-                queue.push({ url: nextUrl, depth: r.depth + 1 });
+/**
+ * Convert a validation summary to a single static, offline html report
+ * @param {{passed:number,failed:number,results:Array,vnuVersion:string}} summary - Validation summary
+ * @returns {string} - Html document
+ */
+function toHtmlReport(summary) {
+    var list = (summary && summary.results) || [];
+    var errors = 0;
+    var warnings = 0;
+    var messages = {};
+    var pages = [];
+    var i;
+    var j;
+
+    for (i = 0; i < list.length; i++) {
+        var res = list[i];
+        var where = res.url || 'input.html';
+        var issues = sortByPosition(res.errors.concat(res.warnings, res.info || []));
+        var items = [];
+
+        errors += res.errors.length;
+        warnings += res.warnings.length;
+
+        for (j = 0; j < issues.length; j++) {
+            var it = issues[j];
+            var type = it.type || 'error';
+            var rule = toRule(it.msg);
+
+            if (type !== 'info') {
+                messages[rule.text] = messages[rule.text] || { text: rule.text, type: type, count: 0 };
+                messages[rule.text].count++;
             }
+
+            items.push('<li class="issue ' + type + '" data-msg="' + escapeXml(it.msg) + '">' +
+                '<span class="type">' + type + '</span> ' +
+                '<span class="pos">' + (it.line || 0) + ':' + (it.col || 0) + '</span> ' +
+                '<span class="msg">' + escapeXml(it.msg) + '</span>' +
+                extractHtml(it) + '</li>');
         }
+
+        var title = isUrl(where) ?
+            '<a href="' + escapeXml(where) + '" target="_blank" rel="noopener">' + escapeXml(where) + '</a>' :
+            escapeXml(where);
+
+        pages.push('<details class="page ' + (res.ok ? 'ok' : 'fail') + '" data-url="' + escapeXml(where) + '" data-ok="' + (res.ok ? 1 : 0) + '"' + (res.ok ? '' : ' open') + '>' +
+            '<summary><span class="icon">' + (res.ok ? '✔' : '✖') + '</span> ' + title +
+            ' <span class="counts">' + res.errors.length + ' errors, ' + res.warnings.length + ' warnings</span></summary>' +
+            (items.length ? '<ul>' + items.join('') + '</ul>' : '<p class="none">No issues</p>') +
+            '</details>');
     }
 
-    console.log('');
+    var top = Object.keys(messages).map(function (k) { return messages[k]; }).sort(function (a, b) {
+        return (b.count - a.count) || (a.text < b.text ? -1 : 1);
+    });
 
-    return { passed: passed, failed: failed, results: results };
+    var rows = top.map(function (m) {
+        return '<tr class="' + m.type + '"><td class="num">' + m.count + '</td><td><a href="#" class="filter" data-q="' + escapeXml(m.text.split('"…"')[0].trim()) + '">' + escapeXml(m.text) + '</a></td></tr>';
+    });
+
+    var css = [
+        'body{font:14px/1.45 system-ui,sans-serif;margin:0 auto;max-width:1100px;padding:24px;color:#222}',
+        'h1{font-size:22px;margin:0 0 4px}.meta{color:#666;margin:0 0 16px}',
+        '.stats{display:flex;gap:12px;margin:0 0 20px}.stat{border:1px solid #ddd;border-radius:6px;padding:10px 16px}.stat b{display:block;font-size:22px}',
+        '.stat.fail b,.error .type{color:#c62828}.stat.warn b,.warning .type{color:#e08600}.info .type{color:#777}',
+        '.controls{display:flex;gap:16px;align-items:center;margin:0 0 12px}#q{flex:1;padding:6px 8px;font-size:14px}',
+        'table{border-collapse:collapse;width:100%;margin:0 0 20px}td{border-top:1px solid #eee;padding:4px 8px;vertical-align:top}td.num{text-align:right;width:60px}',
+        'details.page{border:1px solid #ddd;border-radius:6px;margin:0 0 8px;padding:6px 10px}details.page.fail{border-color:#e6b0b0}',
+        'summary{cursor:pointer;word-break:break-all}.ok .icon{color:#2e7d32}.fail .icon{color:#c62828}.counts{color:#888;font-size:12px}',
+        'ul{list-style:none;margin:8px 0;padding:0}li.issue{padding:6px 0;border-top:1px solid #f0f0f0}.type{font-weight:600;text-transform:uppercase;font-size:11px}',
+        '.pos{color:#888;font-family:monospace}pre.extract{background:#f7f7f7;padding:6px 8px;margin:4px 0 0;overflow:auto;white-space:pre-wrap}',
+        'mark{background:#ffd5d5;text-decoration:underline wavy #c62828}.none{color:#888;margin:6px 0}[hidden]{display:none}'
+    ].join('\n');
+
+    var js = [
+        '(function () {',
+        '    var q = document.getElementById("q");',
+        '    var failed = document.getElementById("failed-only");',
+        '    var pages = Array.prototype.slice.call(document.querySelectorAll("details.page"));',
+        '    function apply() {',
+        '        var t = q.value.toLowerCase();',
+        '        pages.forEach(function (p) {',
+        '            var pageMatch = !t || p.getAttribute("data-url").toLowerCase().indexOf(t) !== -1;',
+        '            var any = false;',
+        '            Array.prototype.forEach.call(p.querySelectorAll("li.issue"), function (li) {',
+        '                var m = pageMatch || li.getAttribute("data-msg").toLowerCase().indexOf(t) !== -1;',
+        '                li.hidden = !m;',
+        '                if (m) { any = true; }',
+        '            });',
+        '            p.hidden = !(pageMatch || any) || (failed.checked && p.getAttribute("data-ok") === "1");',
+        '            if (t && any && !pageMatch) { p.open = true; }',
+        '        });',
+        '    }',
+        '    q.addEventListener("input", apply);',
+        '    failed.addEventListener("change", apply);',
+        '    Array.prototype.forEach.call(document.querySelectorAll("a.filter"), function (a) {',
+        '        a.addEventListener("click", function (e) { e.preventDefault(); q.value = a.getAttribute("data-q"); apply(); q.scrollIntoView(); });',
+        '    });',
+        '})();'
+    ].join('\n');
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        '<title>HTML validation report</title>',
+        '<style>' + css + '</style>',
+        '</head>',
+        '<body>',
+        '<h1>HTML validation report</h1>',
+        '<p class="meta">' + escapeXml(new Date().toISOString()) + ' · ' + escapeXml(pkg.name + ' ' + pkg.version) + (summary.vnuVersion ? ' · vnu ' + escapeXml(summary.vnuVersion) : '') + '</p>',
+        '<div class="stats">',
+        '<div class="stat"><b>' + list.length + '</b>pages</div>',
+        '<div class="stat"><b>' + summary.passed + '</b>passed</div>',
+        '<div class="stat fail"><b>' + summary.failed + '</b>failed</div>',
+        '<div class="stat fail"><b>' + errors + '</b>errors</div>',
+        '<div class="stat warn"><b>' + warnings + '</b>warnings</div>',
+        (summary.ignored ? '<div class="stat"><b>' + summary.ignored + '</b>ignored</div>' : ''),
+        '</div>',
+        (rows.length ? '<h2>Messages</h2><table>' + rows.join('') + '</table>' : ''),
+        '<h2>Pages</h2>',
+        '<div class="controls"><input id="q" type="search" placeholder="Filter by page or message"><label><input id="failed-only" type="checkbox"> Failed only</label></div>',
+        pages.join('\n'),
+        '<script>' + js + '</script>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
 }
 
 /**
- * Expand a path to html files
- * @param {string} target - File or folder
- * @returns {Promise<string[]>} - Absolute html file paths
+ * Write machine output to cfg.output, or stdout when none is given
+ * @param {string} text - Report content
+ * @param {object} cfg - Config
+ * @returns {void}
  */
-async function expandFiles(target) {
-    var abs = path.resolve(target);
+function writeReport(text, cfg) {
+    if (!cfg.output) {
+        process.stdout.write(text);
+        return;
+    }
 
-    var st;
     try {
-        st = await fsp.stat(abs);
+        ensureDir(path.dirname(path.resolve(cfg.output)));
+        fs.writeFileSync(cfg.output, text, 'utf8');
     } catch (e) {
-        var msg = (e && e.code === 'ENOENT') ? ('path not found ' + target) : (e && e.message ? e.message : String(e));
-        throw new Error(msg);
+        throw new Error('cannot write ' + cfg.output + ' (' + (e && e.message ? e.message : String(e)) + ')');
+    }
+}
+
+/**
+ * Check a config value against its expected type
+ * @param {*} v - Value
+ * @param {string} type - Type from CONFIG_OPTIONS
+ * @returns {boolean} - True if valid
+ */
+function isConfigType(v, type) {
+    switch (type) {
+        case 'string': return typeof v === 'string';
+        case 'number': return typeof v === 'number' && isFinite(v);
+        case 'boolean': return typeof v === 'boolean';
+        case 'list': return typeof v === 'string' || (Array.isArray(v) && v.every(function (x) { return typeof x === 'string'; }));
+        case 'baseline': return typeof v === 'string' || typeof v === 'boolean';
+        case 'ref': return typeof v === 'string' || typeof v === 'boolean';
+        case 'caps': return isConfigType(v, 'list') || (!!v && typeof v === 'object' && Object.keys(v).every(function (k) { return typeof v[k] === 'number'; }));
+        case 'headers': return isConfigType(v, 'list') || (!!v && typeof v === 'object' && Object.keys(v).every(function (k) { return typeof v[k] === 'string'; }));
+        case 'overrides': return Array.isArray(v);
+        default: return true;
     }
+}
 
-    if (st.isFile()) {
-        if (!/\.html?$/i.test(abs)) {
-            throw new Error('not an html file ' + target);
-        }
-        return [abs];
+/**
+ * Validate override blocks
+ * @param {Array} overrides - Override blocks, each with files and/or urls
+ * @param {string} source - Where they came from, for error messages
+ * @returns {void} - Throws on invalid blocks
+ */
+function checkOverrides(overrides, source) {
+    if (!Array.isArray(overrides)) {
+        throw new Error('overrides must be an array in ' + source);
     }
 
-    return new Promise(function (resolve, reject) {
-        glob('**/*.html', { cwd: abs, nodir: true }, function (err, matches) {
-            if (err) {
-                reject(err);
+    overrides.forEach(function (o, i) {
+        var where = 'overrides[' + i + '] in ' + source;
+
+        if (!o || typeof o !== 'object' || Array.isArray(o)) {
+            throw new Error(where + ' must be an object');
+        }
+
+        if (!o.files && !o.urls) {
+            throw new Error(where + ' needs "files" or "urls"');
+        }
+
+        Object.keys(o).forEach(function (k) {
+            if (k === 'files' || k === 'urls') {
+                if (!isConfigType(o[k], 'list')) {
+                    throw new Error(where + ' "' + k + '" must be a string or array of strings');
+                }
+                try { [].concat(o[k]).forEach(function (p) { compilePattern(p, k); }); }
+                catch (e) { throw new Error(where + ' ' + e.message); }
                 return;
             }
 
-            var out = [];
-            for (var i = 0; i < matches.length; i++) {
-                out.push(path.join(abs, matches[i]));
+            if (OVERRIDE_KEYS.indexOf(k) === -1) {
+                throw new Error(where + ' cannot set "' + k + '" (allowed: ' + OVERRIDE_KEYS.join(', ') + ')');
+            }
+
+            if (!isConfigType(o[k], CONFIG_OPTIONS[k])) {
+                throw new Error(where + ' "' + k + '" must be a ' + CONFIG_OPTIONS[k]);
             }
-            resolve(out);
         });
+
+        if (o.ignore) {
+            try { toIgnoreRules(o.ignore); }
+            catch (e) { throw new Error(where + ' ' + e.message); }
+        }
     });
 }
 
 /**
- * Validate local html files
- * @param {string} target - File or folder
- * @param {object} cfg - Config
- * @returns {Promise<{passed:number,failed:number,results:Array}>} - Summary
+ * Validate a config object
+ * @param {object} config - Parsed config
+ * @param {string} source - Config file, for error messages
+ * @returns {object} - The same config
  */
-async function validateFiles(target, cfg) {
-    cfg = cfg || {};
-
-    if (!(await hasJava())) {
-        throw new Error('java not found');
+function checkConfig(config, source) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('config must be an object in ' + source);
     }
 
-    if (!CURRENT_JAR_PATH) {
-        CURRENT_JAR_PATH = await resolveJarPath();
-    }
+    Object.keys(config).forEach(function (k) {
+        if (CLI_ONLY_OPTIONS.indexOf(k) !== -1) {
+            throw new Error('option "' + k + '" can only be given on the command line, not in ' + source);
+        }
 
-    var files = await expandFiles(target);
+        if (!Object.prototype.hasOwnProperty.call(CONFIG_OPTIONS, k)) {
+            throw new Error('unknown option "' + k + '" in ' + source);
+        }
 
-    if (!cfg.json) {
-        var cyan = chalk.cyan;
-        var bold = chalk.bold;
-        console.log('');
-        console.log(bold(cyan('w3c validating ' + files.length + ' HTML files in ' + target)));
-        console.log('');
+        if (!isConfigType(config[k], CONFIG_OPTIONS[k])) {
+            throw new Error('option "' + k + '" must be a ' + CONFIG_OPTIONS[k] + ' in ' + source);
+        }
+    });
+
+    if (config.ignore) {
+        try { toIgnoreRules(config.ignore); }
+        catch (e) { throw new Error(e.message + ' in ' + source); }
     }
 
-    var results = [];
-    var passed = 0;
-    var failed = 0;
+    if (config.overrides) {
+        checkOverrides(config.overrides, source);
+    }
 
-    for (var i = 0; i < files.length; i++) {
+    return config;
+}
 
-        var proc = await runOne(files[i], cfg);
-        var issues = parseIssues(proc, cfg);
+/**
+ * Resolve the paths in a config file against its folder, so it means the same from any working folder
+ * @param {object} config - Checked config
+ * @param {string} dir - Folder of the config file
+ * @returns {object} - Copy of the config with absolute paths and file globs
+ */
+function resolveConfigPaths(config, dir) {
+    var out = Object.assign({}, config);
 
-        var includeWarnings = !cfg.errorsOnly && cfg.warnings > 0;
-        var ok = (issues.errors.length === 0 && (!includeWarnings || issues.warnings.length === 0));
+    function file(p) {
+        return path.resolve(dir, p);
+    }
 
-        var res = {
-            url: path.relative(process.cwd(), files[i]) || files[i],
-            ok: ok,
-            errors: issues.errors,
-            warnings: issues.warnings
-        };
+    /* regex: patterns match anywhere and are left alone like absolute globs */
+    function glob(g) {
+        return (typeof g !== 'string' || g.indexOf(REGEX_PREFIX) === 0 || path.isAbsolute(g)) ? g : path.join(dir, g).split(path.sep).join('/');
+    }
 
-        if (!cfg.json) {
-            printPageResult(res, cfg);
+    function scoped(o) {
+        if (!o || typeof o !== 'object' || o instanceof RegExp || !o.files) {
+            return o;
         }
+        return Object.assign({}, o, { files: [].concat(o.files).map(glob) });
+    }
 
-        results.push(res);
+    if (out.target) {
+        out.target = [].concat(out.target).map(function (t) {
+            return (t === '-' || isUrl(t) || isHtml(t)) ? t : file(t);
+        });
+    }
 
-        if (ok) {
-            passed++;
-        } else {
-            failed++;
+    ['targetsFile', 'output', 'jar', 'cookieJar', 'baseline'].forEach(function (k) {
+        if (typeof out[k] === 'string' && out[k]) {
+            out[k] = file(out[k]);
         }
+    });
+
+    if (out.ignore) {
+        out.ignore = [].concat(out.ignore).map(scoped);
     }
 
-    console.log('');
+    if (out.overrides) {
+        out.overrides = out.overrides.map(function (o) {
+            o = scoped(o);
+            return o.ignore ? Object.assign({}, o, { ignore: [].concat(o.ignore).map(scoped) }) : o;
+        });
+    }
 
-    return { passed: passed, failed: failed, results: results };
+    return out;
 }
 
 /**
- * Check if a string is raw html
- * @param {string} str - input string
- * @returns {boolean} - true if input looks like html
+ * Load and validate a config file (json rc, .js module or package.json key)
+ * @param {string} file - Config file path
+ * @returns {object} - Config
  */
-function isHtml(str) {
-
-    if (typeof str !== 'string') return false;
+function loadConfig(file) {
+    var abs = path.resolve(file);
+    var config;
 
-    var s = str.trim();
-
-    if (!s) return false;
+    try {
+        if (/\.js$/i.test(abs)) {
+            config = require(abs);
+        } else {
+            config = JSON.parse(fs.readFileSync(abs, 'utf8'));
+        }
+    } catch (e) {
+        if (e && e.code === 'ENOENT') {
+            throw new Error('config not found ' + file);
+        }
+        throw new Error('failed to read config ' + file + ' (' + (e && e.message ? e.message : String(e)) + ')');
+    }
 
-    // Must start with '<' (allow whitespace before)
-    if (s[0] !== '<') return false;
+    if (path.basename(abs) === 'package.json') {
+        config = config[CONFIG_PACKAGE_KEY];
+        abs += ' "' + CONFIG_PACKAGE_KEY + '"';
+    }
 
-    // Accept: doctype, comment, or any tag (e.g. <html>, <div>, <svg>, <x-foo>, etc)
-    return (
-        /^<(!doctype\b|!--|[a-z][\w:-]*\b)/i.test(s)
-    );
+    return resolveConfigPaths(checkConfig(config, abs), path.dirname(path.resolve(file)));
 }
 
 /**
- * Check if a string is a http or https url
- * @param {string} str - input string
- * @returns {boolean} - true if url
+ * Find the nearest config file from a folder upwards
+ * @param {string} dir - Start folder
+ * @returns {string|null} - Config file path or null if none
  */
-function isUrl(str) {
-    var s = String(str || '').replace(/^\s+|\s+$/g, '');
-    var u;
+function findConfig(dir) {
+    var cur = path.resolve(dir);
 
-    if (!/^https?:\/\//i.test(s)) {
-        return false;
-    }
+    while (true) {
+        for (var i = 0; i < CONFIG_FILES.length; i++) {
+            if (fs.existsSync(path.join(cur, CONFIG_FILES[i]))) {
+                return path.join(cur, CONFIG_FILES[i]);
+            }
+        }
 
-    u = url.parse(s);
-    return !!(u && (u.protocol === 'http:' || u.protocol === 'https:') && u.hostname);
+        var pkgFile = path.join(cur, 'package.json');
+        if (fs.existsSync(pkgFile)) {
+            try {
+                if (JSON.parse(fs.readFileSync(pkgFile, 'utf8'))[CONFIG_PACKAGE_KEY]) {
+                    return pkgFile;
+                }
+            } catch (e) { /* not our package.json problem */ }
+        }
+
+        var parent = path.dirname(cur);
+        if (parent === cur) {
+            return null;
+        }
+        cur = parent;
+    }
 }
 
 /**
- * Check if a string looks like a file or folder path on any os
- * @param {string} str - input string
- * @returns {boolean} - true if file path
+ * Take an option whose value starts with a dash out of the raw args, minimist would read "-Xss512k" as flags
+ * @param {Array<string>} args - Raw cli args
+ * @param {string} name - Long option name
+ * @returns {{args:Array<string>,values:Array<string>}} - Remaining args and every value given for the option
  */
-function isFilePath(str) {
-    var s = String(str || '').replace(/^\s+|\s+$/g, '');
-
-    if (!s || isUrl(s) || isHtml(s)) {
-        return false;
-    }
+function takeRawOption(args, name) {
+    var rest = [];
+    var values = [];
+
+    for (var i = 0; i < args.length; i++) {
+        if (args[i] === '--') {
+            rest = rest.concat(args.slice(i));
+            break;
+        }
 
-    // abs or explicit relative (posix, windows, unc, tilde)
-    if (/^(?:[a-zA-Z]:[\\/]|\\\\|\/|~[\\/]|\.{1,2}[\\/])/.test(s)) {
-        return true;
+        if (args[i] === '--' + name) {
+            values.push(i + 1 < args.length ? args[++i] : '');
+        }
+        else if (args[i].indexOf('--' + name + '=') === 0) {
+            values.push(args[i].slice(name.length + 3));
+        }
+        else {
+            rest.push(args[i]);
+        }
     }
 
-    // contains a separator and not just separators
-    return /[\\/]/.test(s) && /[^\s\\/]/.test(s);
+    return { args: rest, values: values };
 }
 
-
 /**
- * Validate a raw HTML string using vnu.jar
- * @param {string} src - The HTML string to validate
- * @param {object} [cfg] - Optional config
- * @returns {Promise<{passed: number, failed: number, results: Array}>} - Validation summary
+ * List the options given explicitly on the command line
+ * @param {Array<string>} args - Raw cli args
+ * @param {object} aliases - Short flag aliases
+ * @returns {object} - Set of long option names
  */
-async function validateHtmlString(src, cfg) {
+function explicitFlags(args, aliases) {
+    var out = {};
 
-    if (!(await hasJava())) {
-        throw new Error('java not found');
+    for (var i = 0; i < args.length; i++) {
+        var m = /^--?(?:no-)?([^=]+)/.exec(args[i]);
+        if (m && args[i] !== '-' && args[i] !== '--') {
+            out[aliases[m[1]] || m[1]] = true;
+        }
     }
 
-    if (!CURRENT_JAR_PATH) {
-        CURRENT_JAR_PATH = await resolveJarPath();
-    }
+    return out;
+}
 
-    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-html-str-'));
-    const tmpFile = path.join(tmpDir, 'input.html');
-    await fsp.writeFile(tmpFile, src, 'utf8');
-    const proc = await runOne(tmpFile, cfg);
-    const issues = parseIssues(proc, cfg);
-    const includeWarnings = !cfg.errorsOnly && cfg.warnings > 0;
-    const ok = (issues.errors.length === 0 && (!includeWarnings || issues.warnings.length === 0));
+/**
+ * Read a newline separated list of urls or paths, skipping blank lines and # comments
+ * Paths are relative to the targets file, so bare names like index.html work from any working folder
+ * @param {string} file - Targets file
+ * @returns {Array<string>} - Targets
+ */
+function readTargetsFile(file) {
+    var text;
 
     try {
-        fs.unlinkSync(tmpFile);
-        fs.rmdirSync(tmpDir);
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new Error('Cannot read targets file ' + file + ': ' + (e && e.message ? e.message : String(e)));
     }
-    catch (e) { }
 
-    const result = {
-        ok,
-        errors: issues.errors,
-        warnings: issues.warnings
-    };
+    var dir = path.dirname(path.resolve(file));
 
-    return {
-        passed: ok ? 1 : 0,
-        failed: ok ? 0 : 1,
-        results: [result]
-    };
+    return text.split(/\r?\n/)
+        .map(function (line) { return line.trim(); })
+        .filter(function (line) { return line && line[0] !== '#'; })
+        .map(function (line) { return (line === '-' || isUrl(line)) ? line : path.resolve(dir, line); });
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} - Piped text
+ */
+function readStdin() {
+    return new Promise(function (resolve, reject) {
+        var chunks = [];
+        process.stdin.on('data', function (d) { chunks.push(d); });
+        process.stdin.on('end', function () { resolve(Buffer.concat(chunks).toString('utf8')); });
+        process.stdin.on('error', reject);
+    });
 }
 
 /* cli vs module */
 if (require.main === module) {
 
-    var argv = minimist(process.argv.slice(2), {
-        string: ['target', 'url', 'exclude', 'user-agent'],
-        boolean: ['errors-only', 'json', 'same-origin', 'strip-query'],
-        alias: { t: 'target', e: 'errors-only' },
+    /* --header is repeatable, the option holding all of them is headers; --pretty is the old --beautify */
+    var aliases = { t: 'target', e: 'errors-only', header: 'headers', pretty: 'beautify' };
+
+    /* "--jvm-opts -Xss512k" as the docs show it, the value is passed through untouched */
+    var raw = takeRawOption(process.argv.slice(2), 'jvm-opts');
+
+    if (raw.values.some(function (v) { return !String(v).trim(); })) {
+        console.error('--jvm-opts needs a value, e.g. --jvm-opts "-Xss512k -Xmx1g"');
+        process.exit(1);
+    }
+
+    var argv = minimist(raw.args, {
+        string: ['target', 'targets-file', 'include-files', 'exclude-files', 'changed', 'sitemap', 'header', 'cookie', 'cookie-jar', 'include', 'scope', 'max-per-pattern', 'url', 'exclude', 'user-agent', 'format', 'output', 'report', 'baseline', 'jar', 'vnu-version', 'jar-sha256', 'java', 'ignore', 'config'],
+        boolean: ['errors-only', 'json', 'same-origin', 'strip-query', 'server', 'info', 'beautify', 'update-baseline', 'watch', 'cache', 'gitignore', 'robots', 'check-links'],
+        alias: aliases,
         default: {
             target: '',
             depth: 2,
@@ -1012,18 +4929,28 @@ if (require.main === module) {
             json: false,
             'same-origin': true,
             'strip-query': false,
+            server: true,
+            info: false,
+            beautify: false,
+            watch: false,
+            cache: true,
+            gitignore: true,
+            robots: true,
+            'check-links': false,
+            'max-pages': 0,
+            delay: 0,
+            rps: 0,
+            retries: 2,
+            'request-timeout': 30,
+            'doc-timeout': 120,
+            format: 'pretty',
             'user-agent': 'Mozilla/5.0 (node)'
         }
     });
 
-    var target = argv.target;
-
-    if (!target) {
-        console.error('usage: w3c-validate-html --target <file|folder|url> [--depth 2] [--concurrency 4] [--warnings 0|1] [--exclude "foo,bar"] [--same-origin] [--strip-query] [--errors-only] [--json]');
-        process.exit(1);
-    }
-
     var cfg = {
+        target: argv.target,
+        targetsFile: argv['targets-file'] || '',
         depth: parseInt(argv.depth, 10) || 0,
         concurrency: parseInt(argv.concurrency, 10) || 1,
         warnings: parseInt(argv.warnings, 10) || 0,
@@ -1032,35 +4959,283 @@ if (require.main === module) {
         json: !!argv.json,
         sameOrigin: argv['same-origin'] !== false,
         stripQuery: !!argv['strip-query'],
+        server: argv.server !== false,
+        jar: argv.jar || '',
+        vnuVersion: argv['vnu-version'] || '',
+        jarSha256: argv['jar-sha256'] || '',
+        java: argv.java || '',
+        jvmOpts: raw.values.join(' '),
+        docTimeout: parseFloat(argv['doc-timeout']) || 0,
+        ignore: [].concat(argv.ignore || []).filter(Boolean),
+        info: !!argv.info,
+        beautify: !!argv.beautify,
+        format: argv.format,
+        output: argv.output || '',
+        report: argv.report || '',
+        baseline: argv.baseline,
+        updateBaseline: !!argv['update-baseline'],
+        watch: !!argv.watch,
+        cache: argv.cache !== false,
+        includeFiles: [].concat(argv['include-files'] || []).filter(Boolean),
+        excludeFiles: [].concat(argv['exclude-files'] || []).filter(Boolean),
+        gitignore: argv.gitignore !== false,
+        changed: argv.changed,
+        robots: argv.robots !== false,
+        delay: parseFloat(argv.delay) || 0,
+        rps: parseFloat(argv.rps) || 0,
+        retries: parseInt(argv.retries, 10) || 0,
+        requestTimeout: parseFloat(argv['request-timeout']) || 0,
+        sitemap: argv.sitemap || '',
+        headers: [].concat(argv.headers || []).filter(Boolean),
+        cookie: argv.cookie || '',
+        cookieJar: argv['cookie-jar'] || '',
+        checkLinks: !!argv['check-links'],
+        include: [].concat(argv.include || []).filter(Boolean),
+        scope: [].concat(argv.scope || []).filter(Boolean),
+        maxPages: parseInt(argv['max-pages'], 10) || 0,
+        maxPerPattern: [].concat(argv['max-per-pattern'] || []).filter(Boolean),
         userAgent: argv['user-agent']
     };
 
-    const startTime = Date.now();
-    validate(target, cfg).then(function (summary) {
-        if (argv.json) {
-            try { console.log(JSON.stringify(summary)); }
-            catch (e) { console.error('{"error":"failed to stringify results"}'); }
+    /* config file values apply unless the same option is given on the command line */
+    var configFile = null;
+    try {
+        configFile = (argv.config === false) ? null : (argv.config || findConfig(process.cwd()));
+
+        if (configFile) {
+            var config = loadConfig(configFile);
+            var explicit = explicitFlags(raw.args, aliases);
+            if (raw.values.length) {
+                explicit['jvm-opts'] = true;
+            }
+
+            Object.keys(config).forEach(function (k) {
+                var flag = k.replace(/[A-Z]/g, function (c) { return '-' + c.toLowerCase(); });
+                if (!explicit[flag]) {
+                    cfg[k] = (k === 'exclude') ? toList(config[k]) : config[k];
+                }
+            });
         }
+    } catch (e) {
+        console.error(chalk.red('error') + ' ' + e.message);
+        process.exit(1);
+    }
 
-        // Jasmine-style summary (simplified)
-        const total = summary.passed + summary.failed;
-        const duration = ((Date.now() - startTime) / 1000).toFixed(3);
-        console.log('\nSummary:');
-        if (summary.failed === 0) {
-            console.log('\n👊  Passed');
-        } else {
-            console.log('\n❌  Failed');
-        }
-        console.log('Pages:   ' + summary.passed + ' of ' + total);
-        console.log('Errors:  ' + summary.failed);
-        console.log('Finished in ' + duration + ' seconds');
-        process.exit(summary.failed > 0 ? 1 : 0);
-    })
-    .catch(function (err) {
-        console.error(chalk.red('error') + ' ' + (err && err.message ? err.message : String(err)));
+    /* every --target, then the targets file; "-" is the document on stdin */
+    var targets = [].concat(cfg.target || []).filter(Boolean);
+    try {
+        if (cfg.targetsFile) {
+            targets = targets.concat(readTargetsFile(cfg.targetsFile));
+        }
+    } catch (e) {
+        console.error(chalk.red('error') + ' ' + e.message);
         process.exit(1);
-    });
+    }
+    delete cfg.target;
+    delete cfg.targetsFile;
+
+    if (FORMATS.indexOf(cfg.format) === -1) {
+        console.error('unknown --format ' + cfg.format + ' (use ' + FORMATS.join('|') + ')');
+        process.exit(1);
+    }
+
+    if (cfg.report && REPORTS.indexOf(cfg.report) === -1) {
+        console.error('unknown --report ' + cfg.report + ' (use ' + REPORTS.join('|') + ')');
+        process.exit(1);
+    }
+
+    if (cfg.report && (cfg.json || MACHINE_FORMATS.indexOf(cfg.format) !== -1)) {
+        console.error('--report cannot be combined with --json or --format ' + cfg.format);
+        process.exit(1);
+    }
+
+    // workflow commands only take effect on stdout, the markdown summary goes to $GITHUB_STEP_SUMMARY
+    if (cfg.format === 'github' && cfg.output) {
+        console.error('--format github prints annotations to stdout and cannot be combined with --output');
+        process.exit(1);
+    }
+
+    if (targets.filter(function (t) { return t === '-'; }).length > 1) {
+        console.error('stdin can only be read once, pass --target - a single time');
+        process.exit(1);
+    }
+
+    if (!targets.length) {
+        console.error('usage: w3c-validate-html --target <file|folder|url|-> [--targets-file file] [--config file|--no-config] [--depth 2] [--concurrency 4] [--warnings 0|1] [--exclude "foo,bar"] [--same-origin] [--strip-query] [--errors-only] [--json] [--no-server] [--jar path] [--vnu-version tag] [--jar-sha256 hex] [--java path] [--jvm-opts "-Xss512k"] [--doc-timeout 120] [--ignore "message|regex:pattern"] [--info] [--beautify] [--format compact|pretty|sarif|junit|github] [--report html] [--output file] [--baseline [file]] [--update-baseline] [--watch] [--no-cache] [--include-files glob] [--exclude-files glob] [--no-gitignore] [--changed [ref]] [--no-robots] [--delay 0] [--rps 0] [--retries 2] [--request-timeout 30] [--sitemap url|auto] [--header "Name: value"] [--cookie "a=b"] [--cookie-jar file] [--check-links] [--max-pages 0] [--include pattern] [--scope /docs/] [--max-per-pattern "/search*=20"]');
+        process.exit(1);
+    }
+
+    if (cfg.watch) {
+        var target = targets[0];
+        if (targets.length > 1 || target === '-' || isUrl(target) || isHtml(target)) {
+            console.error('--watch only works with a single local file or folder');
+            process.exit(1);
+        }
+        if (cfg.json || MACHINE_FORMATS.indexOf(cfg.format) !== -1 || cfg.report || cfg.updateBaseline || (cfg.changed !== undefined && cfg.changed !== false)) {
+            console.error('--watch cannot be combined with --json, --format ' + cfg.format + ', --report, --update-baseline or --changed');
+            process.exit(1);
+        }
+
+        var watcher = null;
+
+        // installed before the first pass, ctrl+c while it runs must still stop the validator service
+        process.on('SIGINT', function () {
+            var stopped = watcher ? watcher.stop() : stopServers().then(function () { return { failed: 1 }; });
+            stopped.then(function (summary) {
+                /* a page cut off from the stopped service may have fallen back to its own java process */
+                killDocuments();
+                process.exit(summary.failed > 0 ? 1 : 0);
+            });
+        });
+
+        watchFiles(target, cfg).then(function (w) {
+            watcher = w;
+        })
+        .catch(function (err) {
+            console.error(chalk.red('error') + ' ' + (err && err.message ? err.message : String(err)));
+            process.exit(1);
+        });
+    }
+    else {
+        const startTime = Date.now();
+        Promise.all(targets.map(function (t) {
+            return (t === '-') ? readStdin().then(function (src) {
+                if (!isHtml(src)) {
+                    throw new Error('stdin does not look like HTML');
+                }
+                return src;
+            }) : t;
+        }))
+        .then(function (list) {
+            return validate(list, cfg);
+        })
+        .then(function (summary) {
+            const seconds = (Date.now() - startTime) / 1000;
+
+            // html from stdin has no url and the module does not log it, the label only exists here
+            if (!isQuiet(cfg)) {
+                summary.results.forEach(function (res) {
+                    if (!res.url) {
+                        console.log('');
+                        printPageResult(Object.assign({}, res, { url: '<html>' }), cfg);
+                        console.log('');
+                    }
+                });
+            }
+
+            if (cfg.json) {
+                let json;
+                try { json = JSON.stringify(summary); }
+                catch (e) { console.error('{"error":"failed to stringify results"}'); }
+                if (json !== undefined) {
+                    writeReport(json + '\n', cfg);
+                }
+            }
+            else if (cfg.format === 'sarif') {
+                writeReport(JSON.stringify(toSarif(summary), null, 2) + '\n', cfg);
+            }
+            else if (cfg.format === 'junit') {
+                writeReport(toJunit(summary, seconds), cfg);
+            }
+            else if (cfg.format === 'github') {
+                writeReport(toGithubAnnotations(summary), cfg);
+
+                // job summary, only available inside github actions
+                if (process.env.GITHUB_STEP_SUMMARY) {
+                    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, toMarkdownSummary(summary), 'utf8');
+                }
+            }
+            else if (cfg.report === 'html') {
+                writeReport(toHtmlReport(summary), cfg);
+            }
+
+            // keep stdout clean for the machine formats, --json has always printed its summary after the json
+            const log = (isQuiet(cfg) && !cfg.json) ? console.error : console.log;
+
+            // broken links get their own section, grouped by target
+            const broken = summary.brokenLinks || [];
+            const byUrl = {};
+            broken.forEach(function (link) {
+                (byUrl[link.url] = byUrl[link.url] || []).push(link);
+            });
+            if (broken.length) {
+                log('\nBroken links:\n');
+                Object.keys(byUrl).forEach(function (u) {
+                    log(chalk.red('  ✖ ' + u) + chalk.dim(' (' + byUrl[u][0].reason + ')'));
+                    byUrl[u].forEach(function (link) {
+                        log(chalk.dim('      ' + link.source + ':' + link.line + ':' + link.col));
+                    });
+                });
+            }
+
+            // Jasmine-style summary (simplified)
+            const total = summary.passed + summary.failed;
+            const duration = seconds.toFixed(3);
+            log('\nSummary:');
+            if (summary.failed === 0 && !broken.length) {
+                log('\n👊  Passed');
+            } else {
+                log('\n❌  Failed');
+            }
+            log('Pages:   ' + summary.passed + ' of ' + total);
+            log('Errors:  ' + summary.failed);
+            if (summary.brokenLinks) {
+                log('Links:   ' + Object.keys(byUrl).length + ' broken URLs linked ' + broken.length + ' times');
+            }
+            if (summary.ignored) {
+                log('Ignored: ' + summary.ignored);
+            }
+            if (summary.unusedSuppressions) {
+                log('Unused suppression comments: ' + summary.unusedSuppressions);
+            }
+            if (summary.unchanged) {
+                log('Skipped: ' + summary.unchanged + ' unchanged files');
+            }
+            const reasons = Object.keys(summary.skipped || {});
+            if (reasons.length) {
+                log('Skipped: ' + reasons.reduce(function (n, reason) { return n + summary.skipped[reason]; }, 0) + ' URLs');
+                reasons.forEach(function (reason) {
+                    log(chalk.dim('  ' + summary.skipped[reason] + ' ' + (SKIP_REASONS[reason] || reason)));
+                });
+            }
+            if (summary.cacheHits) {
+                log('Cached:  ' + summary.cacheHits + ' unchanged pages reused');
+            }
+            if (summary.baseline && summary.baseline.updated) {
+                log('Baseline: ' + summary.baseline.known + ' issues recorded in ' + path.relative(process.cwd(), summary.baseline.file));
+            }
+            else if (summary.baseline) {
+                log('Baseline: ' + summary.baseline.known + ' known, ' + summary.baseline.fixed.length + ' fixed');
+                summary.baseline.fixed.forEach(function (it) {
+                    log(chalk.dim('  - ' + it.url + ': ' + it.msg + (it.count > 1 ? ' (x' + it.count + ')' : '')));
+                });
+                if (summary.baseline.fixed.length) {
+                    log(chalk.dim('Fixed issues can be removed from the baseline with --update-baseline'));
+                }
+            }
+            if (summary.vnuVersion) {
+                log('Validator: vnu ' + summary.vnuVersion);
+            }
+            log('Finished in ' + duration + ' seconds');
+            // recording a baseline accepts the current issues
+            process.exit((summary.failed > 0 && !cfg.updateBaseline) || broken.length ? 1 : 0);
+        })
+        .catch(function (err) {
+            console.error(chalk.red('error') + ' ' + (err && err.message ? err.message : String(err)));
+            process.exit(1);
+        });
+    }
 
 } else {
+    /* revalidate a local file or folder as it changes, like --watch */
+    validate.watch = watchFiles;
+
+    /* reporters, for callers that format a summary themselves */
+    validate.toSarif = toSarif;
+    validate.toJunit = toJunit;
+    validate.toGithubAnnotations = toGithubAnnotations;
+    validate.toMarkdownSummary = toMarkdownSummary;
+    validate.toHtmlReport = toHtmlReport;
+
     module.exports = validate;
 }
\ No newline at end of file
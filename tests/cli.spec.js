@@ -0,0 +1,216 @@
+const fs = require('fs');
+const { spawn, spawnSync } = require('child_process');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const cli = path.join(__dirname, '..', 'index.js');
+const fakeJava = path.join(__dirname, 'fixtures', 'fake-java.js');
+
+/* run the cli in a temp folder holding files, against the fake java and without a config unless --config is given; returns its output and every java call */
+function run(args, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-cli-'));
+    const jar = path.join(dir, 'vnu.jar');
+    const log = path.join(dir, 'java.log');
+    fs.writeFileSync(jar, 'PK fake');
+    Object.keys(files || {}).forEach(name => {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), files[name]);
+    });
+
+    const config = args.some(arg => /^--config\b/.test(arg)) ? [] : ['--no-config'];
+    const proc = spawnSync(process.execPath, [cli].concat(config, ['--no-cache', '--java', fakeJava, '--jar', jar], args), {
+        cwd: dir,
+        encoding: 'utf8',
+        env: Object.assign({}, process.env, { FAKE_JAVA_LOG: log, FORCE_COLOR: '0' }),
+        timeout: 60000
+    });
+
+    const calls = fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : [];
+
+    return { code: proc.status, stdout: proc.stdout, stderr: proc.stderr, calls: calls, dir: dir };
+}
+
+describe('w3c-validate-html: cli', function () {
+
+    it('should pass --jvm-opts values that start with a dash to java', function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        const res = run(['--target', file, '--no-server', '--jvm-opts', '-Xss512k -Xmx1g']);
+
+        expect(res.code).toBe(0);
+        const validations = res.calls.filter(args => args.indexOf(file) !== -1);
+        expect(validations.length).toBe(1);
+        expect(validations[0].slice(0, validations[0].indexOf('-jar'))).toEqual(jasmine.arrayContaining(['-Xss512k', '-Xmx1g']));
+    });
+
+    it('should print issues sorted by position with a code frame', function () {
+        const page = ['<!DOCTYPE html>', '<p>one</p>', '<p>BAD two</p>', '<p>three BAD WARN</p>', '<p>four</p>', '<p>five</p>'].join('\n');
+        const res = run(['--target', './page.html'], { 'page.html': page });
+        const lines = res.stderr.split('\n');
+
+        expect(res.code).toBe(1);
+        const issues = lines.filter(line => /thing\./.test(line)).map(line => line.trim().replace(/ \S+page\.html:/, ' :'));
+        expect(issues).toEqual(['Bad thing. :3:6', 'Bad thing. :4:12', 'Warn thing. :4:17']);
+
+        const at = lines.findIndex(line => /Bad thing\..*:3:6/.test(line));
+        expect(lines.slice(at + 1, at + 7)).toEqual([
+            '        1 | <!DOCTYPE html>',
+            '        2 | <p>one</p>',
+            '      > 3 | <p>BAD two</p>',
+            '          |    ^^^',
+            '        4 | <p>three BAD WARN</p>',
+            '        5 | <p>four</p>'
+        ]);
+    });
+
+    it('should print one line per issue with --format compact', function () {
+        const page = ['<!DOCTYPE html>', '<p>BAD</p>', '<p>WARN</p>'].join('\n');
+        const res = run(['--target', './page.html', '--format', 'compact'], { 'page.html': page });
+
+        expect(res.code).toBe(1);
+        expect(res.stderr).toMatch(/Bad thing\. \S+page\.html:2:6\n\s+Warn thing\. \S+page\.html:3:7\n/);
+        expect(res.stderr).not.toContain(' | ');
+    });
+
+    it('should print the --json summary after the json on stdout', function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        const res = run(['--target', file, '--json']);
+        const lines = res.stdout.split('\n');
+
+        expect(res.code).toBe(0);
+        expect(JSON.parse(lines[0]).passed).toBe(1);
+        expect(res.stdout).toContain('Summary:');
+        expect(res.stderr).not.toContain('Summary:');
+    });
+
+    it('should report why --output could not be written', function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        const res = run(['--target', file, '--json', '--output', 'taken/summary.json'], { taken: 'a file, not a folder' });
+
+        expect(res.code).toBe(1);
+        expect(res.stderr).toContain('cannot write taken/summary.json');
+        expect(res.stderr).not.toContain('stringify');
+    });
+
+    it('should print the page log for every format written to --output', function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+
+        ['--json', '--format=sarif', '--format=junit'].forEach(flag => {
+            const res = run(['--target', file, flag, '--output', 'out.txt']);
+            expect(res.code).toBe(0);
+            expect(res.stdout).toContain('✔ ');
+            expect(fs.readFileSync(path.join(res.dir, 'out.txt'), 'utf8').length).toBeGreaterThan(0);
+        });
+    });
+
+    it('should reject --jvm-opts without a value', function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        const res = run(['--target', file, '--jvm-opts=']);
+
+        expect(res.code).toBe(1);
+        expect(res.stderr).toContain('--jvm-opts needs a value');
+    });
+    it('should reject --format github with --output', function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        const res = run(['--target', file, '--format', 'github', '--output', 'out.txt']);
+
+        expect(res.code).toBe(1);
+        expect(res.stderr).toContain('--format github prints annotations to stdout');
+        expect(fs.existsSync(path.join(res.dir, 'out.txt'))).toBe(false);
+    });
+    it('should resolve config file paths against the config folder', function () {
+        const config = {
+            target: 'page.html',
+            warnings: 1,
+            overrides: [{ files: ['page.html'], ignore: ['regex:^Bad'] }, { files: ['other.html'], warnings: 0 }]
+        };
+        const res = run(['--config', 'site/.w3cvalidatehtmlrc'], {
+            'site/.w3cvalidatehtmlrc': JSON.stringify(config),
+            'site/page.html': '<!DOCTYPE html>\n<p>BAD WARN</p>',
+            'page.html': '<!DOCTYPE html>\n<p>BAD</p>'
+        });
+
+        expect(res.code).toBe(1);
+        expect(res.stdout).toContain('validating 1 HTML files in ' + path.join(res.dir, 'site', 'page.html'));
+        expect(res.stdout).toContain('Ignored: 1');
+        expect(res.stderr).toContain('Warn thing.');
+        expect(res.stderr).not.toContain('Bad thing.');
+    });
+
+    it('should refuse command line only options in a config file', function () {
+        ['watch', 'updateBaseline'].forEach(key => {
+            const res = run(['--config', 'rc.json'], { 'rc.json': JSON.stringify({ target: 'page.html', [key]: true }), 'page.html': '<!DOCTYPE html>' });
+
+            expect(res.code).toBe(1);
+            expect(res.stderr).toContain('option "' + key + '" can only be given on the command line');
+            expect(res.calls.length).toBe(0);
+        });
+    });
+    it('should stop the validator service on ctrl+c during the first watch pass', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-cli-'));
+        const jar = path.join(dir, 'vnu.jar');
+        const log = path.join(dir, 'java.log');
+        fs.writeFileSync(jar, 'PK fake');
+        fs.writeFileSync(path.join(dir, 'page.html'), '<p>HANG</p>');
+
+        const proc = spawn(process.execPath, [cli, '--no-config', '--no-cache', '--java', fakeJava, '--jar', jar, '--target', './', '--watch'], {
+            cwd: dir,
+            env: Object.assign({}, process.env, { FAKE_JAVA_LOG: log, FORCE_COLOR: '0' })
+        });
+        const exited = new Promise(resolve => proc.on('exit', resolve));
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        /* the service is up once the page has been sent to it and left hanging */
+        let service;
+        for (let waited = 0; !service && waited < 10000; waited += 100) {
+            await wait(100);
+            service = (fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n') : []).map(line => JSON.parse(line))
+                .find(args => args.indexOf('nu.validator.servlet.Main') !== -1);
+        }
+        await wait(1000);
+        proc.kill('SIGINT');
+
+        expect(await exited).toBe(1);
+
+        const port = service[service.indexOf('nu.validator.servlet.Main') + 1];
+        let refused = false;
+        for (let waited = 0; !refused && waited < 3000; waited += 100) {
+            refused = await new Promise(resolve => {
+                const socket = net.connect(port, '127.0.0.1', () => { socket.destroy(); resolve(false); });
+                socket.on('error', () => resolve(true));
+            });
+            if (!refused) {
+                await wait(100);
+            }
+        }
+        expect(refused).toBe(true);
+    });
+    it('should resolve targets file entries against the targets file folder', function () {
+        const res = run(['--targets-file', 'site/targets.txt', '--json'], {
+            'site/targets.txt': '# pages\nindex.html\npublic\n',
+            'site/index.html': '<!DOCTYPE html>\n<p>hi</p>',
+            'site/public/a.html': '<!DOCTYPE html>\n<p>BAD</p>'
+        });
+        const summary = JSON.parse(res.stdout.split('\n')[0]);
+
+        expect(res.code).toBe(1);
+        expect(summary.results.map(r => [r.url, r.ok])).toEqual([['site/index.html', true], ['site/public/a.html', false]]);
+    });
+
+    it('should log html piped on stdin', function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-cli-'));
+        fs.writeFileSync(path.join(dir, 'vnu.jar'), 'PK fake');
+
+        const proc = spawnSync(process.execPath, [cli, '--no-config', '--no-cache', '--java', fakeJava, '--jar', path.join(dir, 'vnu.jar'), '--target', '-'], {
+            cwd: dir,
+            encoding: 'utf8',
+            input: '<!DOCTYPE html>\n<p>BAD</p>',
+            env: Object.assign({}, process.env, { FORCE_COLOR: '0' }),
+            timeout: 60000
+        });
+
+        expect(proc.status).toBe(1);
+        expect(proc.stdout).toContain('✖ <html>');
+        expect(proc.stderr).toContain('Bad thing.');
+    });
+});
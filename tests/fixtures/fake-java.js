@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+ * Stands in for java + vnu.jar in tests that need to see the jvm arguments or a misbehaving validator
+ * Every call appends its arguments to FAKE_JAVA_LOG. In a document, BAD is an error, WARN a warning and HANG never answers;
+ * on the service PAUSE answers after half a second and WAIT only once a hung request was given up.
+ * A jar holding "version x" reports version x, one holding STRICT adds an error to every document
+ */
+var fs = require('fs');
+var http = require('http');
+
+var args = process.argv.slice(2);
+
+var jarArg = args.indexOf('-jar') !== -1 ? args.indexOf('-jar') : args.indexOf('-cp');
+var jar = '';
+try { jar = fs.readFileSync(args[jarArg + 1], 'utf8'); } catch (e) { /* no jar */ }
+
+if (process.env.FAKE_JAVA_LOG) {
+    fs.appendFileSync(process.env.FAKE_JAVA_LOG, JSON.stringify(args) + '\n');
+}
+
+/* every BAD is an error and every WARN a warning, listed last to first so callers have to sort them */
+function check(src) {
+    var out = [];
+
+    if (jar.indexOf('STRICT') !== -1) {
+        out.push({ type: 'error', firstLine: 1, lastLine: 1, firstColumn: 1, lastColumn: 1, message: 'Strict thing.' });
+    }
+
+    String(src).split('\n').forEach(function (line, i) {
+        [['BAD', 'error', '', 'Bad thing.'], ['WARN', 'info', 'warning', 'Warn thing.']].forEach(function (m) {
+            for (var c = line.indexOf(m[0]); c !== -1; c = line.indexOf(m[0], c + 1)) {
+                out.unshift({ type: m[1], subType: m[2], firstLine: i + 1, lastLine: i + 1, firstColumn: c + 1, lastColumn: c + m[0].length, message: m[3] });
+            }
+        });
+    });
+
+    return out;
+}
+
+function hang() {
+    setInterval(function () { /* keep running */ }, 1000);
+}
+
+if (args[0] === '-version') {
+    process.stderr.write('openjdk version "17.0.2" 2022-01-18\n');
+}
+else if (args.indexOf('nu.validator.servlet.Main') !== -1) {
+    var waiting = [];
+    var gaveUp = false;
+
+    http.createServer(function (req, res) {
+        var body = '';
+
+        req.on('data', function (d) { body += d; });
+        req.on('end', function () {
+            function answer() {
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ messages: check(body) }));
+            }
+
+            if (req.method !== 'POST') {
+                res.end('ok');
+            }
+            else if (body.indexOf('HANG') !== -1) {
+                res.on('close', function () {
+                    gaveUp = true;
+                    waiting.splice(0).forEach(function (fn) { setTimeout(fn, 100); });
+                });
+            }
+            else if (body.indexOf('WAIT') !== -1 && !gaveUp) {
+                waiting.push(answer);
+            }
+            else {
+                setTimeout(answer, body.indexOf('PAUSE') !== -1 ? 500 : 0);
+            }
+        });
+    }).listen(parseInt(args[args.indexOf('nu.validator.servlet.Main') + 1], 10), '127.0.0.1');
+}
+else if (args.indexOf('--version') !== -1) {
+    console.log((/version (\S+)/.exec(jar) || [])[1] || '0.0.0-fake');
+}
+else {
+    var files = args.slice(args.indexOf('-jar') + 2).filter(function (a) { return a[0] !== '-' && a !== 'json'; });
+    var src = files.map(function (f) { return fs.readFileSync(f, 'utf8'); }).join('\n');
+
+    if (src.indexOf('HANG') !== -1) {
+        hang();
+    }
+    else {
+        process.stderr.write(JSON.stringify({ messages: check(src) }));
+        process.exitCode = check(src).some(function (m) { return m.type === 'error'; }) ? 1 : 0;
+    }
+}
@@ -0,0 +1,119 @@
+const path = require('path');
+const validate = require('../index');
+
+/* a summary with one local file and one url, covering every issue list */
+function summary() {
+    return {
+        passed: 0,
+        failed: 2,
+        vnuVersion: '20.6.30',
+        results: [{
+            url: path.join(process.cwd(), 'site', 'index.html'),
+            ok: false,
+            errors: [{ line: 3, col: 9, msg: 'Stray end tag "span".', type: 'error', firstLine: 3, firstColumn: 4, lastLine: 3, lastColumn: 9, extract: '<p>x</span>' }],
+            warnings: [{ line: 5, col: 2, msg: 'Section lacks heading.', type: 'warning', firstLine: 4, firstColumn: 1, lastLine: 5, lastColumn: 2 }],
+            info: [],
+            ignored: [{ line: 7, col: 1, msg: 'Stray end tag "div".', type: 'error', rule: 'regex:Stray' }]
+        }, {
+            url: 'https://example.com/about',
+            ok: false,
+            errors: [{ line: 0, col: 0, msg: 'request failed 500 https://example.com/about', type: 'error' }],
+            warnings: [],
+            info: [],
+            ignored: []
+        }]
+    };
+}
+
+describe('w3c-validate-html: reporters', function () {
+
+    it('should build a SARIF 2.1.0 log with stable rule ids and regions', function () {
+        const sarif = validate.toSarif(summary());
+        const run = sarif.runs[0];
+
+        expect(sarif.version).toBe('2.1.0');
+        expect(sarif.$schema).toContain('sarif-2.1.0');
+        expect(run.tool.driver.name).toBe('w3c-validate-html');
+        expect(run.tool.driver.properties.vnuVersion).toBe('20.6.30');
+
+        /* quoted values are dropped, so both stray end tags share one rule */
+        expect(run.tool.driver.rules.map(r => r.id)).toEqual(['html/stray-end-tag', 'html/section-lacks-heading', 'html/request-failed-500-https-example-com-about']);
+        expect(run.results.map(r => r.ruleIndex)).toEqual([0, 1, 0, 2]);
+        expect(run.results.map(r => r.level)).toEqual(['error', 'warning', 'error', 'error']);
+
+        const error = run.results[0].locations[0].physicalLocation;
+        expect(error.artifactLocation).toEqual({ uri: jasmine.stringMatching(/site\/index\.html$/), uriBaseId: '%SRCROOT%' });
+        expect(error.region).toEqual({ startLine: 3, startColumn: 4, endLine: 3, endColumn: 10, snippet: { text: '<p>x</span>' } });
+        expect(run.results[1].locations[0].physicalLocation.region).toEqual({ startLine: 4, startColumn: 1, endLine: 5, endColumn: 3 });
+
+        expect(run.results[2].suppressions).toEqual([{ kind: 'external', justification: 'ignore rule regex:Stray' }]);
+
+        /* urls are absolute, tool errors have no region */
+        expect(run.results[3].locations[0].physicalLocation).toEqual({ artifactLocation: { uri: 'https://example.com/about' } });
+        expect(run.originalUriBaseIds['%SRCROOT%'].uri).toMatch(/^file:\/\/.*\/$/);
+    });
+
+    it('should escape markup, ampersands and quotes in JUnit XML', function () {
+        const report = summary();
+        report.results[0].url = path.join(process.cwd(), 'a&b "c".html');
+        report.results[0].errors[0].msg = 'Element "p" not allowed as child of <span> & friends.\u0001';
+
+        const xml = validate.toJunit(report, 1.5);
+
+        expect(xml).toContain('<testsuites name="w3c-validate-html" tests="2" failures="2" time="1.500">');
+        expect(xml).toContain('name="' + path.join(process.cwd(), 'a&amp;b &quot;c&quot;.html') + '"');
+        expect(xml).toContain('Element &quot;p&quot; not allowed as child of &lt;span&gt; &amp; friends.');
+        expect(xml).not.toContain('\u0001');
+        expect(xml).toContain('<failure message="1 errors, 1 warnings" type="html">');
+
+        /* every & starts an entity, every < starts a tag */
+        expect(xml).not.toMatch(/&(?!(amp|lt|gt|quot);)/);
+        expect(xml.replace(/<\/?[a-z?][^<>]*>/g, '')).not.toContain('<');
+    });
+    it('should escape workflow command values in GitHub annotations', function () {
+        const report = summary();
+        report.results[0].url = path.join(process.cwd(), 'a,b:c.html');
+        report.results[0].errors[0].msg = '100% wrong\r\nnext: line, here';
+        report.results[1].url = 'https://example.com/a,b';
+
+        const lines = validate.toGithubAnnotations(report).trim().split('\n');
+
+        expect(lines.length).toBe(3);
+        expect(lines[0]).toBe('::error file=a%2Cb%3Ac.html,line=3,endLine=3,col=4,endColumn=9::100%25 wrong%0D%0Anext: line, here');
+        expect(lines[1]).toBe('::warning file=a%2Cb%3Ac.html,line=4,endLine=5::Section lacks heading.');
+        expect(lines[2]).toBe('::error title=https%3A//example.com/a%2Cb::request failed 500 https://example.com/about (https://example.com/a,b:0)');
+    });
+
+    it('should escape table cells and markup in the markdown summary', function () {
+        const report = summary();
+        report.results[0].errors[0].msg = 'Bad <b>|</b>\nvalue.';
+
+        const md = validate.toMarkdownSummary(report);
+
+        expect(md).toContain('❌ Failed: 0 of 2 pages passed, 2 errors, 1 warnings (vnu 20.6.30)');
+        expect(md).toContain('| [https://example.com/about](https://example.com/about) | ✖ | 1 | 0 |');
+        expect(md).toContain('- `3:9` error: Bad &lt;b>\\|&lt;/b> value.');
+        expect(md).not.toContain('<b>');
+    });
+    it('should escape messages, extracts and urls in the HTML report', function () {
+        const report = summary();
+        const error = report.results[0].errors[0];
+        error.msg = 'End tag "</span>" & <script>alert(1)</script>.';
+        error.extract = '<p>x</span><img src=x onerror="alert(1)">';
+        error.hiliteStart = 4;
+        error.hiliteLength = 7;
+        report.results[1].url = 'https://example.com/?a="><script>';
+
+        const html = validate.toHtmlReport(report);
+        const body = html.slice(html.indexOf('<body>'), html.lastIndexOf('<script>'));
+
+        expect(body).toContain('<span class="msg">End tag &quot;&lt;/span&gt;&quot; &amp; &lt;script&gt;alert(1)&lt;/script&gt;.</span>');
+        expect(body).toContain('data-msg="End tag &quot;&lt;/span&gt;&quot; &amp; &lt;script&gt;alert(1)&lt;/script&gt;."');
+        expect(body).toContain('<pre class="extract">&lt;p&gt;x<mark>&lt;/span&gt;</mark>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</pre>');
+        expect(body).toContain('href="https://example.com/?a=&quot;&gt;&lt;script&gt;"');
+
+        /* no markup from the summary survives, so the only script is the report's own */
+        expect(body).not.toContain('<script');
+        expect(body).not.toContain('<img');
+    });
+});
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const os = require('os');
 const path = require('path');
 const validate = require('../index');
 
@@ -19,6 +22,138 @@ describe('w3c-validate-html: file', function () {
         expect(summary.results[0].errors.length).toBeGreaterThan(0);
     });
 
+    it('should report the same errors without the shared validator service', async function () {
+        const file = path.join(__dirname, 'fixtures', 'invalid.html');
+        const shared = await validate(file, { warnings: 1 });
+        const spawned = await validate(file, { warnings: 1, server: false, cache: false });
+        expect(spawned.failed).toBe(1);
+        expect(spawned.results[0].errors.length).toBe(shared.results[0].errors.length);
+    });
+
+    it('should validate a windows-1252 file the same with and without the shared service', async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-charset-')), 'page.html');
+        fs.writeFileSync(file, Buffer.concat([
+            Buffer.from('<!DOCTYPE html><html lang="fr"><head><meta charset="windows-1252"><title>caf'),
+            Buffer.from([0xe9]),
+            Buffer.from('</title></head><body><p>caf'),
+            Buffer.from([0xe9]),
+            Buffer.from('</p></body></html>')
+        ]));
+
+        const shared = await validate(file, { warnings: 0, cache: false });
+        const spawned = await validate(file, { warnings: 0, server: false, cache: false });
+
+        expect(shared.results[0].errors).toEqual([]);
+        expect(spawned.results[0].errors).toEqual(shared.results[0].errors);
+    });
+
+    it('should reuse cached results for unchanged files', async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-cache-')), 'page.html');
+        fs.writeFileSync(file, '<!DOCTYPE html><html lang="en"><head><title>cache ' + Date.now() + '</title></head><body><p>hi</span></p></body></html>');
+
+        const first = await validate(file, { warnings: 1 });
+        const second = await validate(file, { warnings: 1 });
+        const uncached = await validate(file, { warnings: 1, cache: false });
+
+        expect(first.cacheHits).toBe(0);
+        expect(second.cacheHits).toBe(1);
+        expect(second.results[0].cached).toBe(true);
+        expect(second.results[0].errors).toEqual(first.results[0].errors);
+        expect(uncached.cacheHits).toBe(0);
+    });
+
+    it('should reuse cached results without the shared validator service', async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-cache-')), 'page.html');
+        fs.writeFileSync(file, '<!DOCTYPE html>\n<title>cache ' + Date.now() + '</title>\n<p>BAD</p>');
+        const options = { warnings: 1, server: false, java: path.join(__dirname, 'fixtures', 'fake-java.js') };
+
+        const first = await validate(file, options);
+        const second = await validate(file, options);
+
+        expect(first.cacheHits).toBe(0);
+        expect(second.cacheHits).toBe(1);
+        expect(second.results[0].errors).toEqual(first.results[0].errors);
+        expect(second.results[0].errors.length).toBe(1);
+    });
+
+    it('should prune cached results that have not been used for a month', async function () {
+        const cache = path.join(os.tmpdir(), 'w3c-validate-html', 'results');
+        const stale = path.join(cache, 'stale-' + Date.now() + '.json');
+        const fresh = path.join(cache, 'fresh-' + Date.now() + '.json');
+        const marker = path.join(cache, '.pruned');
+        const longAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+
+        fs.mkdirSync(cache, { recursive: true });
+        fs.writeFileSync(stale, '{}');
+        fs.writeFileSync(fresh, '{}');
+        fs.writeFileSync(marker, '');
+        fs.utimesSync(stale, longAgo, longAgo);
+        fs.utimesSync(marker, longAgo, longAgo);
+
+        await validate(path.join(__dirname, 'fixtures', 'valid.html'), { warnings: 1 });
+
+        expect(fs.existsSync(stale)).toBe(false);
+        expect(fs.existsSync(fresh)).toBe(true);
+        expect(Date.now() - fs.statSync(marker).mtimeMs).toBeLessThan(60000);
+        fs.unlinkSync(fresh);
+    });
+
+    it('should merge an array of targets into one summary', async function () {
+        const html = '<!DOCTYPE html><html lang="en"><head><title>Test</title></head><body><h1>Hi</h1></body></html>';
+        const summary = await validate([
+            path.join(__dirname, 'fixtures', 'valid.html'),
+            path.join(__dirname, 'fixtures', 'invalid.html'),
+            html
+        ], { warnings: 1 });
+        expect(summary.passed).toBe(2);
+        expect(summary.failed).toBe(1);
+        expect(summary.results.length).toBe(3);
+    });
+
+    it('should reject an array entry that is not a url, path or html', async function () {
+        let error;
+        try {
+            await validate([path.join(__dirname, 'fixtures', 'valid.html'), 'nope'], { warnings: 1 });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeDefined();
+        expect(error.message).toContain('nope');
+    });
+
+    it('should skip folder files matching excludeFiles', async function () {
+        const dir = path.join(__dirname, 'fixtures');
+        const summary = await validate(dir, { warnings: 1, excludeFiles: ['invalid.html'] });
+        expect(summary.results.some(r => /invalid\.html$/.test(r.url))).toBe(false);
+        expect(summary.results.some(r => /valid\.html$/.test(r.url))).toBe(true);
+    });
+
+    it('should validate a single xhtml file', async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-xhtml-')), 'page.xhtml');
+        fs.writeFileSync(file, '<?xml version="1.0" encoding="UTF-8"?>\n<html xmlns="http://www.w3.org/1999/xhtml" lang="en"><head><title>x</title></head><body><p>hi</p></body></html>\n');
+        const summary = await validate(file, { warnings: 1 });
+        expect(summary.results.length).toBe(1);
+        expect(summary.failed).toBe(0);
+    });
+
+    it('should only validate files changed since a git ref', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-changed-'));
+        const git = args => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com'].concat(args), { cwd: dir });
+        const page = '<!DOCTYPE html><html lang="en"><head><title>Test</title></head><body><p>hi</p></body></html>';
+
+        fs.writeFileSync(path.join(dir, 'old.html'), page);
+        fs.writeFileSync(path.join(dir, 'moved.html'), page.replace('hi', 'moved'));
+        git(['init', '-q']);
+        git(['add', '-A']);
+        git(['commit', '-q', '-m', 'init']);
+        fs.writeFileSync(path.join(dir, 'new.html'), page);
+        git(['mv', 'moved.html', 'renamed.html']);
+
+        const summary = await validate(dir + path.sep, { warnings: 1, changed: 'HEAD' });
+        expect(summary.results.map(r => path.basename(r.url))).toEqual(['new.html', 'renamed.html']);
+        expect(summary.unchanged).toBe(1);
+    });
+
     it('should throw for a missing file', async function () {
         let error;
         try {
@@ -36,4 +171,238 @@ describe('w3c-validate-html: file', function () {
         expect(typeof summary.passed).toBe('number');
         expect(Array.isArray(summary.results)).toBe(true);
     });
+
+    it('should return directory results in sorted order when validating concurrently', async function () {
+        const dir = path.join(__dirname, 'fixtures');
+        const summary = await validate(dir, { warnings: 1, concurrency: 4 });
+        const urls = summary.results.map(r => r.url);
+        expect(urls).toEqual(urls.slice().sort());
+    });
+
+    it('should report the vnu version in the summary', async function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        const summary = await validate(file, { warnings: 1 });
+        expect(typeof summary.vnuVersion).toBe('string');
+    });
+
+    it('should reject a --jar that is not a jar file', async function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        let error;
+        try {
+            await validate(file, { warnings: 1, jar: file });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeDefined();
+        expect(error.message).toContain('not a jar file');
+    });
+
+    it('should fail clearly when the configured java does not exist', async function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        let error;
+        try {
+            await validate(file, { warnings: 1, java: path.join(__dirname, 'no-such-java') });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeDefined();
+        expect(error.message).toContain('java not found at');
+    });
+
+    it('should keep other documents on the shared service when one times out', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-timeout-'));
+        const jar = path.join(dir, 'vnu.jar');
+        const log = path.join(dir, 'java.log');
+        fs.writeFileSync(jar, 'PK fake');
+        fs.writeFileSync(path.join(dir, 'a.html'), '<p>HANG</p>');
+        fs.writeFileSync(path.join(dir, 'b.html'), '<p>PAUSE</p>');
+        fs.writeFileSync(path.join(dir, 'c.html'), '<p>WAIT</p>');
+
+        process.env.FAKE_JAVA_LOG = log;
+        let summary;
+        try {
+            summary = await validate(dir + path.sep, {
+                warnings: 0,
+                concurrency: 2,
+                docTimeout: 1,
+                cache: false,
+                java: path.join(__dirname, 'fixtures', 'fake-java.js'),
+                jar: jar
+            });
+        } finally {
+            delete process.env.FAKE_JAVA_LOG;
+        }
+
+        const spawned = fs.readFileSync(log, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+            .filter(args => args.some(a => /\.html$/.test(a)));
+
+        expect(summary.results.map(r => r.ok)).toEqual([false, true, true]);
+        expect(summary.results[0].errors[0].msg).toContain('timed out');
+        expect(spawned).toEqual([]);
+    });
+
+    it('should give an overlapping run with different jvm options its own service', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-restart-'));
+        const jar = path.join(dir, 'vnu.jar');
+        const log = path.join(dir, 'java.log');
+        fs.writeFileSync(jar, 'PK fake');
+        fs.writeFileSync(path.join(dir, 'slow.html'), '<p>PAUSE</p>');
+        fs.writeFileSync(path.join(dir, 'quick.html'), '<p>hi</p>');
+
+        const options = { warnings: 0, cache: false, java: path.join(__dirname, 'fixtures', 'fake-java.js'), jar: jar };
+
+        process.env.FAKE_JAVA_LOG = log;
+        let summaries;
+        try {
+            const slow = validate(path.join(dir, 'slow.html'), Object.assign({ jvmOpts: '-Dfirst=1' }, options));
+            await new Promise(resolve => setTimeout(resolve, 200));
+            summaries = await Promise.all([slow, validate(path.join(dir, 'quick.html'), Object.assign({ jvmOpts: '-Dsecond=1' }, options))]);
+        } finally {
+            delete process.env.FAKE_JAVA_LOG;
+        }
+
+        const calls = fs.readFileSync(log, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+        expect(summaries.map(s => s.passed)).toEqual([1, 1]);
+        const services = calls.filter(args => args.indexOf('nu.validator.servlet.Main') !== -1);
+        expect(services.length).toBe(2);
+        expect(services[0]).toContain('-Dfirst=1');
+        expect(services[1]).toContain('-Dsecond=1');
+        expect(calls.filter(args => args.some(a => /\.html$/.test(a)))).toEqual([]);
+    });
+
+    it('should keep each overlapping run on its own jar', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-jars-'));
+        const first = path.join(dir, 'first');
+        const jarA = path.join(dir, 'a.jar');
+        const jarB = path.join(dir, 'b.jar');
+        fs.mkdirSync(first);
+        fs.writeFileSync(jarA, 'PK fake version 1.0-a');
+        fs.writeFileSync(jarB, 'PK fake version 2.0-b STRICT');
+        fs.writeFileSync(path.join(first, 'a.html'), '<p>PAUSE</p>');
+        fs.writeFileSync(path.join(first, 'b.html'), '<p>hi</p>');
+        fs.writeFileSync(path.join(dir, 'quick.html'), '<p>hi</p>');
+
+        const options = { warnings: 0, cache: false, concurrency: 1, java: path.join(__dirname, 'fixtures', 'fake-java.js') };
+
+        /* the second run switches jars while the first still has b.html to go */
+        const slow = validate(first + path.sep, Object.assign({ jar: jarA }, options));
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const summaries = await Promise.all([slow, validate(path.join(dir, 'quick.html'), Object.assign({ jar: jarB }, options))]);
+
+        expect(summaries.map(s => s.vnuVersion)).toEqual(['1.0-a', '2.0-b']);
+        expect(summaries[0].results.map(r => r.ok)).toEqual([true, true]);
+        expect(summaries[1].results[0].errors.map(e => e.msg)).toEqual(['Strict thing.']);
+    });
+
+    it('should revalidate a watched file when it changes', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-watch-'));
+        const jar = path.join(dir, 'vnu.jar');
+        const page = path.join(dir, 'page.html');
+        fs.writeFileSync(jar, 'PK fake');
+        fs.writeFileSync(page, '<!DOCTYPE html>\n<p>hi</p>');
+
+        const watcher = await validate.watch(dir, { warnings: 0, cache: false, java: path.join(__dirname, 'fixtures', 'fake-java.js'), jar: jar });
+        let summary;
+        try {
+            expect(watcher.summary().passed).toBe(1);
+
+            fs.writeFileSync(page, '<!DOCTYPE html>\n<p>BAD edit</p>');
+            for (let waited = 0; watcher.summary().failed === 0 && waited < 10000; waited += 100) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        } finally {
+            summary = await watcher.stop();
+        }
+
+        expect(summary.passed).toBe(0);
+        expect(summary.failed).toBe(1);
+        expect(summary.results[0].errors.map(e => e.msg)).toEqual(['Bad thing.']);
+    });
+
+    it('should suppress ignored messages and list them', async function () {
+        const file = path.join(__dirname, 'fixtures', 'invalid.html');
+        const summary = await validate(file, { warnings: 0, ignore: ['regex:.'] });
+        expect(summary.failed).toBe(0);
+        expect(summary.results[0].errors.length).toBe(0);
+        expect(summary.results[0].ignored.length).toBeGreaterThan(0);
+        expect(summary.ignored).toBe(summary.results[0].ignored.length);
+    });
+
+    it('should only apply ignore rules within their file scope', async function () {
+        const file = path.join(__dirname, 'fixtures', 'invalid.html');
+        const summary = await validate(file, { warnings: 0, ignore: [{ message: 'regex:.', files: ['**/other/*.html'] }] });
+        expect(summary.failed).toBe(1);
+        expect(summary.ignored).toBe(0);
+    });
+
+    it('should reject an invalid ignore regex once before validating', async function () {
+        const file = path.join(__dirname, 'fixtures', 'invalid.html');
+        let error;
+        try {
+            await validate(file, { warnings: 0, ignore: ['regex:unclosed (group'] });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeDefined();
+        expect(error.message).toContain('invalid ignore pattern regex:unclosed (group');
+    });
+
+    it('should keep full vnu message details on each issue', async function () {
+        const file = path.join(__dirname, 'fixtures', 'invalid.html');
+        const summary = await validate(file, { warnings: 1 });
+        const error = summary.results[0].errors[0];
+        expect(error.type).toBe('error');
+        expect(typeof error.msg).toBe('string');
+        expect(error.line).toBe(error.lastLine);
+        expect(error.col).toBe(error.lastColumn);
+        expect(error.firstLine).toBeLessThanOrEqual(error.lastLine);
+        expect(Array.isArray(summary.results[0].info)).toBe(true);
+    });
+
+    it('should only fail on issues missing from the baseline', async function () {
+        const file = path.join(__dirname, 'fixtures', 'invalid.html');
+        const baseline = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-baseline-')), 'baseline.json');
+
+        const recorded = await validate(file, { warnings: 1, baseline: baseline, updateBaseline: true });
+        expect(recorded.baseline.known).toBeGreaterThan(0);
+        expect(fs.existsSync(baseline)).toBe(true);
+
+        const summary = await validate(file, { warnings: 1, baseline: baseline });
+        expect(summary.failed).toBe(0);
+        expect(summary.results[0].errors.length).toBe(0);
+        expect(summary.baseline.known).toBe(recorded.baseline.known);
+        expect(summary.baseline.fixed.length).toBe(0);
+    });
+
+    it('should report baseline entries that no longer occur as fixed', async function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        const baseline = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-baseline-')), 'baseline.json');
+        const key = path.relative(path.dirname(baseline), file).split(path.sep).join('/');
+        fs.writeFileSync(baseline, JSON.stringify({ version: 1, pages: { [key]: [{ type: 'error', msg: 'Gone.', count: 1 }] } }));
+
+        const summary = await validate(file, { warnings: 1, baseline: baseline });
+        expect(summary.failed).toBe(0);
+        expect(summary.baseline.fixed.length).toBe(1);
+        expect(summary.baseline.fixed[0].msg).toBe('Gone.');
+    });
+
+    it('should apply overrides only to matching files', async function () {
+        const dir = path.join(__dirname, 'fixtures');
+        const summary = await validate(dir, { warnings: 1, overrides: [{ files: ['**/invalid.html'], ignore: ['regex:.'], warnings: 0 }] });
+        expect(summary.failed).toBe(0);
+        expect(summary.results.find(r => /invalid\.html$/.test(r.url)).ignored.length).toBeGreaterThan(0);
+    });
+
+    it('should reject overrides without a files or urls scope', async function () {
+        const file = path.join(__dirname, 'fixtures', 'valid.html');
+        let error;
+        try {
+            await validate(file, { overrides: [{ warnings: 0 }] });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeDefined();
+        expect(error.message).toContain('needs "files" or "urls"');
+    });
 });
@@ -13,4 +13,62 @@ describe('w3c-validate-html: html', function () {
         expect(result.results[0].ok).toBe(true);
         expect(Array.isArray(result.results[0].errors)).toBe(true);
     });
+
+    it('should not log a raw HTML string result to the console', async function () {
+        const html = '<!DOCTYPE html><html lang="en"><head><title>Test</title></head><body><p>BAD</p></body></html>';
+        spyOn(console, 'log');
+        spyOn(console, 'error');
+
+        const result = await validate(html, { cache: false, java: path.join(__dirname, 'fixtures', 'fake-java.js') });
+
+        expect(result.failed).toBe(1);
+        expect(console.log).not.toHaveBeenCalled();
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('should honour inline suppression comments and report unused ones', async function () {
+        const html = [
+            '<!DOCTYPE html><html lang="en"><head><title>Test</title></head><body>',
+            '<!-- w3c-validate-disable-next-line -->',
+            '<p>BAD</span></p>',
+            '<!-- w3c-validate-disable-next-line regex:no such message -->',
+            '<p>Fine</p>',
+            '</body></html>'
+        ].join('\n');
+        const result = await validate(html, { warnings: 0 });
+        expect(result.passed).toBe(1);
+        expect(result.results[0].errors.length).toBe(0);
+        expect(result.results[0].ignored.length).toBeGreaterThan(0);
+        expect(result.results[0].unusedSuppressions.length).toBe(1);
+        expect(result.results[0].unusedSuppressions[0].line).toBe(4);
+    });
+
+    it('should report a suppression comment with an invalid regex at any warning level', async function () {
+        const html = [
+            '<!DOCTYPE html><html lang="en"><head><title>Test</title></head><body>',
+            '<!-- w3c-validate-disable-next-line regex:unclosed (group -->',
+            '<p>Fine</p>',
+            '</body></html>'
+        ].join('\n');
+        for (const cfg of [{ warnings: 1 }, { warnings: 0 }, { warnings: 1, errorsOnly: true }]) {
+            const result = await validate(html, cfg);
+            const unused = result.results[0].unusedSuppressions;
+            expect(unused.length).toBe(1);
+            expect(unused[0].line).toBe(2);
+            expect(unused[0].msg).toContain('Invalid pattern in w3c-validate-disable-next-line comment');
+            expect(unused[0].error).toContain('Unterminated group');
+            expect(result.unusedSuppressions).toBe(1);
+        }
+    });
+
+    it('should reject an invalid ignore regex for html strings', async function () {
+        let error;
+        try {
+            await validate('<!DOCTYPE html><html lang="en"><head><title>T</title></head><body></body></html>', { ignore: 'regex:unclosed (group' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeDefined();
+        expect(error.message).toContain('invalid ignore pattern');
+    });
 });
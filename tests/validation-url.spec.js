@@ -1,5 +1,8 @@
+const path = require('path');
 const validate = require('../index');
 const http = require('http');
+const zlib = require('zlib');
+const beautify = require('js-beautify').html;
 
 describe('w3c-validate-html: url', function () {
 
@@ -33,6 +36,296 @@ describe('w3c-validate-html: url', function () {
         });
     });
 
+    it('should honour robots.txt and retry rate limited pages', async function (done) {
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><a href="/private/a">a</a><a href="/busy">b</a></body></html>';
+        let busy = 0;
+        const server = http.createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('User-agent: *\nDisallow: /private\n');
+            } else if (req.url === '/busy' && busy++ === 0) {
+                res.writeHead(503, { 'Retry-After': '0' });
+                res.end();
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(page);
+            }
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 1 });
+            const urls = summary.results.map(r => r.url);
+            expect(urls.some(u => /\/private\//.test(u))).toBe(false);
+            expect(urls.some(u => /\/busy$/.test(u))).toBe(true);
+            expect(summary.skipped.robots).toBe(1);
+            expect(busy).toBe(2);
+            server.close(done);
+        });
+    });
+
+    it('should seed the crawl from a gzipped sitemap listed in robots.txt', async function (done) {
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><p>hi</p></body></html>';
+        let base = '';
+        const server = http.createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end(`Sitemap: ${base}/sitemap.xml.gz\n`);
+            } else if (req.url === '/sitemap.xml.gz') {
+                res.writeHead(200, { 'Content-Type': 'application/x-gzip' });
+                res.end(zlib.gzipSync(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>${base}/landing</loc></url><url><loc>${base}/guide.pdf</loc></url></urlset>`));
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(page);
+            }
+        });
+        server.listen(0, async () => {
+            base = `http://localhost:${server.address().port}`;
+            const summary = await validate(`${base}/`, { warnings: 0, depth: 0, sitemap: 'auto' });
+            const urls = summary.results.map(r => r.url);
+            expect(urls).toContain(`${base}/landing`);
+            expect(urls.some(u => /\.pdf$/.test(u))).toBe(false);
+            server.close(done);
+        });
+    });
+
+    it('should send basic auth and headers and keep cookies set during the crawl', async function (done) {
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><a href="/app">app</a></body></html>';
+        const expected = 'Basic ' + Buffer.from('bob:s3cret').toString('base64');
+        const seen = [];
+        const server = http.createServer((req, res) => {
+            seen.push({ url: req.url, auth: req.headers.authorization, token: req.headers['x-token'], cookie: req.headers.cookie || '' });
+            if (req.headers.authorization !== expected) {
+                res.writeHead(401);
+                res.end();
+            } else if (req.url === '/') {
+                res.writeHead(302, { 'Location': '/app', 'Set-Cookie': 'sid=abc; Path=/' });
+                res.end();
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(page);
+            }
+        });
+        process.env.W3C_VALIDATE_HTML_USERNAME = 'bob';
+        process.env.W3C_VALIDATE_HTML_PASSWORD = 's3cret';
+        server.listen(0, async () => {
+            const port = server.address().port;
+            try {
+                const summary = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 1, headers: ['X-Token: t1'], robots: false });
+                expect(summary.failed).toBe(0);
+                expect(seen.every(r => r.auth === expected && r.token === 't1')).toBe(true);
+                expect(seen.find(r => r.url === '/app').cookie).toContain('sid=abc');
+                expect(JSON.stringify(summary)).not.toContain('s3cret');
+            } finally {
+                delete process.env.W3C_VALIDATE_HTML_USERNAME;
+                delete process.env.W3C_VALIDATE_HTML_PASSWORD;
+                server.close(done);
+            }
+        });
+    });
+
+    it('should report broken links with the referring page and line', async function (done) {
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head>\n<body>\n<a href="/gone">gone</a>\n<a href="/loop">loop</a>\n<a href="/ok">ok</a>\n</body></html>';
+        const server = http.createServer((req, res) => {
+            if (req.url === '/gone') {
+                res.writeHead(404);
+                res.end();
+            } else if (req.url === '/loop') {
+                res.writeHead(302, { 'Location': '/loop' });
+                res.end();
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(page);
+            }
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 0, checkLinks: true });
+            const gone = summary.brokenLinks.find(l => /\/gone$/.test(l.url));
+            expect(gone.status).toBe(404);
+            expect(gone.source).toBe(`http://localhost:${port}/`);
+            expect(gone.line).toBe(3);
+            expect(summary.brokenLinks.find(l => /\/loop$/.test(l.url)).reason).toBe('redirect loop');
+            expect(summary.brokenLinks.some(l => /\/ok$/.test(l.url))).toBe(false);
+
+            /* the referring page fails, so the node api and every report format see them */
+            expect(summary.failed).toBe(1);
+            expect(summary.passed).toBe(0);
+            const errors = summary.results[0].errors;
+            expect(errors.map(e => [e.msg, e.line])).toEqual([[`Broken link to "http://localhost:${port}/gone" (404)`, 3], [`Broken link to "http://localhost:${port}/loop" (redirect loop)`, 4]]);
+            expect(validate.toSarif(summary).runs[0].results.map(r => r.ruleId)).toEqual(['html/broken-link-to-404', 'html/broken-link-to-redirect-loop']);
+            expect(validate.toJunit(summary, 1)).toContain('Broken link to &quot;http://localhost:' + port + '/gone&quot; (404)');
+            expect(validate.toGithubAnnotations(summary)).toContain('Broken link to "http://localhost:' + port + '/gone" (404) (http://localhost:' + port + '/:3');
+            expect(validate.toHtmlReport(summary)).toContain('Broken link to &quot;http://localhost:' + port + '/loop&quot; (redirect loop)');
+            server.close(done);
+        });
+    });
+
+    it('should point broken links into the prettified copy with beautify', async function (done) {
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><div><p><a href="/gone">gone</a></p></div></body></html>';
+        const server = http.createServer((req, res) => {
+            if (req.url === '/gone') {
+                res.writeHead(404);
+                res.end();
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(page);
+            }
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 0, checkLinks: true, beautify: true });
+            const copy = beautify(page, { indent_size: 2, wrap_line_length: 120 }).split('\n');
+            const gone = summary.brokenLinks.find(l => /\/gone$/.test(l.url));
+            expect(gone.line).toBeGreaterThan(1);
+            expect(copy[gone.line - 1].indexOf('<a href="/gone">', gone.col - 1)).toBe(gone.col - 1);
+            expect(summary.results[0].errors[0].line).toBe(gone.line);
+            server.close(done);
+        });
+    });
+
+    it('should validate the start url even when robots.txt disallows everything', async function (done) {
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><p>BAD</p><a href="/a">a</a></body></html>';
+        const server = http.createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('User-agent: *\nDisallow: /\n');
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(page);
+            }
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 1, java: path.join(__dirname, 'fixtures', 'fake-java.js') });
+            expect(summary.results.map(r => r.url)).toEqual([`http://localhost:${port}/`]);
+            expect(summary.failed).toBe(1);
+            expect(summary.skipped.robots).toBe(1);
+            server.close(done);
+        });
+    });
+
+    it('should limit the crawl and count skipped urls by reason', async function (done) {
+        const links = ['/search?c=1', '/search?c=2', '/search?c=3', '/docs/a', '/docs/b', '/docs/c', '/blog/x'];
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body>' + links.map(l => `<a href="${l}">l</a>`).join('') + '</body></html>';
+        const server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(page);
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, {
+                warnings: 0,
+                depth: 1,
+                maxPages: 4,
+                exclude: ['/blog/*'],
+                maxPerPattern: ['/search*=1'],
+                robots: false
+            });
+            expect(summary.results.length).toBe(4);
+            expect(summary.skipped.exclude).toBe(1);
+            expect(summary.skipped['pattern-limit']).toBe(2);
+            expect(summary.skipped['max-pages']).toBe(1);
+            server.close(done);
+        });
+    });
+
+    it('should keep the default depth for pages matched by an override without depth', async function (done) {
+        const next = { '/': '/docs/a', '/docs/a': '/docs/b', '/docs/b': '/docs/c' };
+        const server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><a href="${next[req.url] || '/'}">n</a></body></html>`);
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, {
+                warnings: 0,
+                robots: false,
+                overrides: [{ urls: [`http://localhost:${port}/docs/**`], warnings: 1 }]
+            });
+            expect(summary.results.map(r => r.url)).toEqual([`http://localhost:${port}/`, `http://localhost:${port}/docs/a`, `http://localhost:${port}/docs/b`]);
+            expect(summary.skipped.depth).toBe(1);
+            server.close(done);
+        });
+    });
+
+    it('should treat an exclude pattern like /blog/ as a substring', async function (done) {
+        const links = ['/blog/x', '/myblog', '/blogs', '/page/12', '/page/new'];
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body>' + links.map(l => `<a href="${l}">l</a>`).join('') + '</body></html>';
+        const server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(page);
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 1, exclude: ['/blog/', 'regex:/page/\\d+$'], robots: false });
+            expect(summary.results.map(r => r.url.replace(`http://localhost:${port}`, ''))).toEqual(['/', '/myblog', '/blogs', '/page/new']);
+            expect(summary.skipped.exclude).toBe(2);
+            server.close(done);
+        });
+    });
+
+    it('should reject an invalid crawl pattern before fetching any page', async function (done) {
+        let requests = 0;
+        const server = http.createServer((req, res) => {
+            requests++;
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><a href="/a">a</a></body></html>');
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const messages = [];
+            for (const cfg of [{ exclude: ['regex:(a'] }, { include: ['regex:(a'] }, { maxPerPattern: ['regex:(a=1'] }]) {
+                try {
+                    await validate(`http://localhost:${port}/`, Object.assign({ warnings: 0, depth: 1 }, cfg));
+                } catch (e) {
+                    messages.push(e.message);
+                }
+            }
+            expect(messages.length).toBe(3);
+            expect(messages[0]).toContain('invalid exclude pattern regex:(a');
+            expect(messages[1]).toContain('invalid include pattern regex:(a');
+            expect(messages[2]).toContain('invalid maxPerPattern pattern regex:(a');
+            expect(requests).toBe(0);
+            server.close(done);
+        });
+    });
+
+    it('should only count pages that are started against a max per pattern cap', async function (done) {
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><a href="/search?c=1">1</a><a href="/search?c=2">2</a><a href="/search?c=3">3</a></body></html>';
+        const server = http.createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('User-agent: *\nDisallow: /search?c=1\n');
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(page);
+            }
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 1, maxPerPattern: ['/search*=1'] });
+            expect(summary.results.map(r => r.url)).toEqual([`http://localhost:${port}/`, `http://localhost:${port}/search?c=2`]);
+            expect(summary.skipped.robots).toBe(1);
+            expect(summary.skipped['pattern-limit']).toBe(1);
+            server.close(done);
+        });
+    });
+
+    it('should stay under a path prefix', async function (done) {
+        const page = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><a href="/docs/a">a</a><a href="/blog/x">x</a></body></html>';
+        const server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(page);
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/docs/`, { warnings: 0, depth: 1, scope: ['/docs/'], robots: false });
+            expect(summary.results.map(r => r.url)).toEqual([`http://localhost:${port}/docs/`, `http://localhost:${port}/docs/a`]);
+            expect(summary.skipped.scope).toBe(1);
+            server.close(done);
+        });
+    });
+
     it('should validate a remote HTML page', async function () {
         const summary = await validate('https://example.com', { warnings: 1, depth: 0 });
         expect(typeof summary.failed).toBe('number');
@@ -44,6 +337,7 @@ describe('w3c-validate-html: url', function () {
         const summary = await validate('http://localhost:9999/this-should-not-exist', { warnings: 1, depth: 0 });
         expect(summary.failed).toBeGreaterThan(0);
         expect(summary.results.some(r => r.errors && r.errors.length > 0)).toBe(true);
+        expect(summary.results[0].errors[0]).toEqual(jasmine.objectContaining({ type: 'error', subType: '', line: 0, col: 0, firstLine: 0, lastColumn: 0 }));
     });
 
     it('should support JSON output for URLs', async function () {
@@ -51,4 +345,36 @@ describe('w3c-validate-html: url', function () {
         expect(typeof summary).toBe('object');
         expect(Array.isArray(summary.results)).toBe(true);
     });
+
+    it('should still accept pretty as the name of the beautify option', async function (done) {
+        const html = '<!DOCTYPE html><html lang="en"><head><title>Raw</title></head><body><div><p>BAD</span></p></div></body></html>';
+        const server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(html);
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const raw = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 0, cache: false });
+            const pretty = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 0, cache: false, pretty: true });
+            expect(raw.results[0].errors[0].line).toBe(1);
+            expect(pretty.results[0].errors[0].line).toBeGreaterThan(1);
+            server.close(done);
+        });
+    });
+
+    it('should report line numbers against the HTML as served', async function (done) {
+        const html = '<!DOCTYPE html>\n<html lang="en">\n<head><title>Raw</title></head>\n<body>\n<p>BAD</span></p>\n</body>\n</html>\n';
+        const server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(html);
+        });
+        server.listen(0, async () => {
+            const port = server.address().port;
+            const summary = await validate(`http://localhost:${port}/`, { warnings: 0, depth: 0 });
+            const errors = summary.results[0].errors;
+            expect(errors.length).toBeGreaterThan(0);
+            expect(errors.every(e => e.line === 5)).toBe(true);
+            server.close(done);
+        });
+    });
 });